@@ -14,9 +14,31 @@
     window.bcrypt = window.dcodeIO.bcrypt;
   }
 
-  // ===== Clean, isolated Session Manager (does NOT modify other code/UI) =====
+  // ===== Session Manager: the one store for login state =====
+  // SESSION_KEY holds { userId, name, email, token, remember, createdAt,
+  // lastActivity, expiresAt }. A "Remember me" session is kept in
+  // localStorage and ends at expiresAt (rememberMaxAgeMs after login) at
+  // the latest; any other session is kept in sessionStorage, so it ends
+  // when the browser closes and is not shared with other tabs. Both end
+  // after their idle timeout.
+  // cincoUsers stands in for the server: a session whose account was
+  // deleted, or that was issued before the account's password last
+  // changed, ends in every tab.
+  // Everything reads it through SessionManager.current() / isLoggedIn() and
+  // writes it through create / update / clear. Older builds also kept
+  // "cincoSession" and "cincoToken"; migrate() folds those in on load.
   const SESSION_KEY = "cinco_session_v1";
-  const SESSION_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
+  const LEGACY_SESSION_KEY = "cincoSession";
+  const LEGACY_TOKEN_KEY = "cincoToken";
+  // Override per site with window.__CINCO_SESSION = { idleTimeoutMs, ... }
+  const SESSION_SETTINGS = Object.assign(
+    {
+      idleTimeoutMs: 30 * 60 * 1000, // 30 minutes
+      rememberIdleTimeoutMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+      rememberMaxAgeMs: 30 * 24 * 60 * 60 * 1000, // 30 days
+    },
+    window.__CINCO_SESSION || {}
+  );
   const MONITOR_INTERVAL_MS = 60 * 1000; // 1 minute
   const ACTIVITY_THROTTLE_MS = 5000; // throttle activity refresh
 
@@ -38,70 +60,121 @@
       }
     }
 
+    function storeFor(remember) {
+      return remember ? localStorage : sessionStorage;
+    }
+
     function read() {
       try {
-        const raw = localStorage.getItem(SESSION_KEY);
+        const raw =
+          sessionStorage.getItem(SESSION_KEY) ||
+          localStorage.getItem(SESSION_KEY);
         return raw ? JSON.parse(raw) : null;
       } catch {
         return null;
       }
     }
 
+    // Keeps the session in exactly one of the two stores
     function write(obj) {
       try {
-        localStorage.setItem(SESSION_KEY, JSON.stringify(obj));
+        storeFor(obj.remember).setItem(SESSION_KEY, JSON.stringify(obj));
+        storeFor(!obj.remember).removeItem(SESSION_KEY);
       } catch {}
     }
 
     function remove() {
       try {
+        sessionStorage.removeItem(SESSION_KEY);
         localStorage.removeItem(SESSION_KEY);
       } catch {}
     }
 
+    function signal(suffix) {
+      // lightweight sync signal for other tabs
+      try {
+        localStorage.setItem(SESSION_KEY + suffix, String(now()));
+      } catch {}
+    }
+
+    // create({ userId, name, email, token, remember }); the older
+    // create(email, { userId, token, meta: { name } }) form is still accepted
     function create(input, opts = {}) {
       const ts = now();
-
-      // normalize input: accept either email string or session-like object
-      let userId = null;
-      let email = "";
-      let token = opts.token || null;
-
-      if (input && typeof input === "object") {
-        userId = String(input.userId || input.id || opts.userId || "") || null;
-        email =
-          typeof input.email === "string" ? input.email : input.name || "";
-        token = token || input.token || input.tokenId || null;
-      } else {
-        email = input || "";
-        userId = opts.userId || null;
-      }
+      const fromObject = input && typeof input === "object";
+      const source = fromObject ? input : { email: input };
+      const meta = opts.meta || source.meta || {};
+      const remember = !!(opts.remember || source.remember);
 
       const session = {
-        userId: userId || null,
-        email: String(email || "").toLowerCase(),
-        token: token || genToken(32),
+        userId: String(source.userId || source.id || opts.userId || "") || null,
+        name: source.name || meta.name || "",
+        email: String(source.email || "").toLowerCase(),
+        token: opts.token || source.token || genToken(32),
+        remember,
         createdAt: ts,
         lastActivity: ts,
-        meta: opts.meta || {},
+        expiresAt: remember ? ts + SESSION_SETTINGS.rememberMaxAgeMs : null,
       };
 
       write(session);
-      // lightweight sync signal for other tabs
-      try {
-        localStorage.setItem(SESSION_KEY + "_updated", String(ts));
-      } catch {}
+      signal("_updated");
       return session;
     }
 
+    // The stored record, even if it has timed out
     function get() {
       return read();
     }
 
+    // The logged-in session, or null when logged out or timed out
+    function current() {
+      const s = read();
+      return s && s.userId && isValid() ? s : null;
+    }
+
+    function isLoggedIn() {
+      return !!current();
+    }
+
+    // Merge fields into the stored session, e.g. after a profile change
+    function update(patch = {}) {
+      const s = read();
+      if (!s) return null;
+      const next = Object.assign({}, s, patch);
+      write(next);
+      signal("_updated");
+      return next;
+    }
+
+    // "account-deleted" or "password-changed" when the account no longer
+    // accepts `s`, otherwise null
+    function accountEndReason(s) {
+      const user = readUsers().find((u) => u && u.id === s.userId);
+      if (!user) return "account-deleted";
+      if (user.passwordChangedAt && (s.createdAt || 0) < user.passwordChangedAt)
+        return "password-changed";
+      return null;
+    }
+
+    // Why `s` can no longer be used ("inactivity", "max-age",
+    // "account-deleted" or "password-changed"), or null
+    function endReason(s) {
+      if (!s || !s.lastActivity) return "inactivity";
+      if (s.userId) {
+        const reason = accountEndReason(s);
+        if (reason) return reason;
+      }
+      if (s.expiresAt && now() >= s.expiresAt) return "max-age";
+      const idle = s.remember
+        ? SESSION_SETTINGS.rememberIdleTimeoutMs
+        : SESSION_SETTINGS.idleTimeoutMs;
+      return now() - s.lastActivity > idle ? "inactivity" : null;
+    }
+
     function isValid() {
       const s = read();
-      if (!s || !s.lastActivity) return false;
-      return now() - s.lastActivity <= SESSION_TIMEOUT_MS;
+      return !!s && !endReason(s);
     }
 
     function refresh() {
@@ -112,17 +185,13 @@
       if (!s) return false;
       s.lastActivity = t;
       write(s);
-      try {
-        localStorage.setItem(SESSION_KEY + "_updated", String(t));
-      } catch {}
+      signal("_updated");
       return true;
     }
 
     function clear() {
       remove();
-      try {
-        localStorage.setItem(SESSION_KEY + "_cleared", String(now()));
-      } catch {}
+      signal("_cleared");
     }
 
     function expire(reason = "timeout") {
@@ -135,12 +204,84 @@
       }
     }
 
+    // When a legacy session was created: its own timestamp, or the one in
+    // an old "token_<ms>" token. 0 when unknown, so a later password
+    // change still ends it.
+    function legacyCreatedAt(legacy) {
+      const fromToken = /^token_(\d+)$/.exec(String(legacy.token || ""));
+      return (
+        Number(legacy.createdAt || legacy.ts || (fromToken && fromToken[1])) ||
+        0
+      );
+    }
+
+    // Fold sessions written by older builds into SESSION_KEY and remove
+    // them. A "cincoSession" record wins over the stored one: only older
+    // code (or a test seeding it) writes that key.
+    function migrate() {
+      let legacy = null;
+      let legacyToken = null;
+      try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_SESSION_KEY) || "null");
+        legacyToken = localStorage.getItem(LEGACY_TOKEN_KEY);
+      } catch {}
+
+      const stored = read();
+      let migrated = false;
+      if (legacy && legacy.userId) {
+        // older logins could fall back to the email as the user id
+        const account = readUsers().find(
+          (u) =>
+            u &&
+            (u.id === String(legacy.userId) ||
+              sameEmail(u.email, legacy.userId))
+        );
+        const userId = account ? account.id : String(legacy.userId);
+        const same = !!stored && stored.userId === userId;
+        const ts = now();
+        write({
+          userId,
+          name: legacy.name || (same && stored.name) || "",
+          email: String(
+            legacy.email || (same && stored.email) || ""
+          ).toLowerCase(),
+          token:
+            legacy.token ||
+            legacyToken ||
+            (same && stored.token) ||
+            genToken(32),
+          remember: false,
+          createdAt: (same && stored.createdAt) || legacyCreatedAt(legacy),
+          lastActivity: ts,
+          expiresAt: null,
+        });
+        migrated = true;
+      } else if (stored && (stored.meta || stored.remember === undefined)) {
+        // Records from before "Remember me" kept the display name under
+        // meta and sat in localStorage; they last for this browser session
+        const { meta, ...rest } = stored;
+        write(
+          Object.assign(rest, {
+            name: rest.name || (meta && meta.name) || "",
+            remember: false,
+            expiresAt: null,
+          })
+        );
+        migrated = true;
+      }
+
+      try {
+        localStorage.removeItem(LEGACY_SESSION_KEY);
+        localStorage.removeItem(LEGACY_TOKEN_KEY);
+      } catch {}
+      return migrated;
+    }
+
     function checkOnce() {
       const s = read();
       if (!s) return;
-      if (now() - s.lastActivity > SESSION_TIMEOUT_MS) {
-        expire("inactivity");
-      }
+      const reason = endReason(s);
+      if (reason) expire(reason);
     }
 
     function startMonitor() {
@@ -162,41 +303,30 @@
       ["click", "mousemove", "keydown", "touchstart"].forEach((ev) =>
         document.addEventListener(ev, handler, { passive: true })
       );
-      // keep tabs in sync but do not force UI changes here
-      window.addEventListener("storage", (e) => {
-        if (!e.key) return;
-        if (
-          e.key === SESSION_KEY + "_cleared" ||
-          e.key === SESSION_KEY + "_updated"
-        ) {
-          // no direct UI action; users of the API can react to storage events if desired
-        }
-      });
     }
 
     return {
+      genToken,
       create,
       get,
+      current,
+      isLoggedIn,
+      update,
       isValid,
       refresh,
       clear,
       expire,
+      migrate,
+      checkOnce,
       start: startMonitor,
       stop: stopMonitor,
       attachActivityListeners,
     };
   })();
-  // expose for debugging/tests (remove in production if you prefer)
-  try {
-    window.SessionManager = SessionManager;
-  } catch (e) {
-    console.warn("Could not expose SessionManager", e);
-  }
 
-  // Compatibility aliases for older code that expects SessionManager.set / SessionManager.get etc.
-  // Do not remove — keeps older modules working (e.g. addToCart)
+  // Compatibility aliases for older code that expects SessionManager.set /
+  // SessionManager.remove
   SessionManager.set = SessionManager.create;
-  SessionManager.get = SessionManager.get; // already exists but ensure alias
   SessionManager.remove = SessionManager.clear;
   // Expose for other scripts that reference SessionManager globally
   try {
@@ -206,15 +336,16 @@
   // Expose minimal API for other code to call (no forced UI behavior)
   window.createUserSession = (email, opts) =>
     SessionManager.create(email, opts);
-  window.getUserSession = () => SessionManager.get();
+  window.getUserSession = () => SessionManager.current();
   window.isUserSessionValid = () => SessionManager.isValid();
   window.refreshUserSession = () => SessionManager.refresh();
   window.clearUserSession = () => SessionManager.clear();
 
-  // Start monitoring and activity hooks without altering UI; callers handle expiration UI
+  // Fold older session keys in before anything reads the session. The
+  // expiry monitor is started by init(), once the page is ready.
   try {
+    SessionManager.migrate();
     SessionManager.attachActivityListeners();
-    SessionManager.start();
   } catch (e) {
     console.error("SessionManager init error", e);
   }
@@ -316,6 +447,139 @@
     return { ok: true, value };
   }
 
+  // Philippine phone numbers, normalized to +63. Accepts mobile
+  // (0917 123 4567, +63 917 123 4567), Metro Manila landlines
+  // ((02) 8123 4567) and provincial landlines ((032) 123 4567).
+  function validatePhonePH(raw) {
+    const value = sanitizeInput(raw);
+    if (!value) return { ok: false, msg: "Phone number is required" };
+    if (!/^[+\d\s().-]+$/.test(value))
+      return { ok: false, msg: "Phone number can only contain digits" };
+
+    let digits = value.replace(/[^\d+]/g, "");
+    if (digits.startsWith("+63")) digits = digits.slice(3);
+    else if (digits.startsWith("63") && digits.length === 12)
+      digits = digits.slice(2);
+    else if (digits.startsWith("0")) digits = digits.slice(1);
+
+    const mobile = /^9\d{9}$/;
+    const manila = /^2\d{8}$/;
+    const provincial = /^[3-8]\d{8}$/;
+    if (
+      !mobile.test(digits) &&
+      !manila.test(digits) &&
+      !provincial.test(digits)
+    )
+      return {
+        ok: false,
+        msg: "Enter a PH mobile (09XX XXX XXXX) or landline ((02) 8XXX XXXX)",
+      };
+    return { ok: true, value: "+63" + digits };
+  }
+
+  function validateZipPH(raw) {
+    const value = sanitizeInput(raw);
+    if (!value) return { ok: false, msg: "ZIP code is required" };
+    if (!/^\d{4}$/.test(value))
+      return { ok: false, msg: "ZIP code must be 4 digits" };
+    return { ok: true, value };
+  }
+
+  // Card number checksum (Luhn / mod 10)
+  function luhnCheck(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        d *= 2;
+        if (d > 9) d -= 9;
+      }
+      sum += d;
+    }
+    return digits.length > 0 && sum % 10 === 0;
+  }
+
+  function cardBrand(raw) {
+    const digits = String(raw || "").replace(/\D/g, "");
+    if (/^4/.test(digits)) return "Visa";
+    if (/^(5[1-5]|2[2-7])/.test(digits)) return "Mastercard";
+    if (/^3[47]/.test(digits)) return "American Express";
+    if (/^35/.test(digits)) return "JCB";
+    return "Card";
+  }
+
+  function validateCardNumber(raw) {
+    const digits = String(raw || "").replace(/[\s-]/g, "");
+    if (!digits) return { ok: false, msg: "Card number is required" };
+    if (!/^\d{12,19}$/.test(digits))
+      return { ok: false, msg: "Card number must be 12–19 digits" };
+    if (!luhnCheck(digits))
+      return { ok: false, msg: "Card number is not valid" };
+    return { ok: true, value: digits, brand: cardBrand(digits) };
+  }
+
+  // MM/YY (or MMYY); the card is valid through the end of that month
+  function validateCardExpiry(raw, now = new Date()) {
+    const m = String(raw || "")
+      .replace(/\s/g, "")
+      .match(/^(\d{2})\/?(\d{2})$/);
+    if (!m) return { ok: false, msg: "Expiry date must be MM/YY" };
+    const month = Number(m[1]);
+    const year = 2000 + Number(m[2]);
+    if (month < 1 || month > 12)
+      return { ok: false, msg: "Expiry month must be 01–12" };
+    const current = now.getFullYear() * 12 + now.getMonth();
+    const expiry = year * 12 + (month - 1);
+    if (expiry < current) return { ok: false, msg: "This card has expired" };
+    if (expiry > current + 20 * 12)
+      return { ok: false, msg: "Expiry date is too far in the future" };
+    return { ok: true, value: `${m[1]}/${m[2]}` };
+  }
+
+  function validateCardCvv(raw, brand = "") {
+    const value = String(raw || "").trim();
+    const length = brand === "American Express" ? 4 : 3;
+    if (!value) return { ok: false, msg: "CVV is required" };
+    if (!new RegExp(`^\\d{${length}}$`).test(value))
+      return { ok: false, msg: `CVV must be ${length} digits` };
+    return { ok: true, value };
+  }
+
+  // GCash receipts show a 13-digit reference number
+  function validateGcashReference(raw) {
+    const value = String(raw || "").replace(/\s/g, "");
+    if (!value) return { ok: false, msg: "GCash reference number is required" };
+    if (!/^\d{13}$/.test(value))
+      return { ok: false, msg: "GCash reference number must be 13 digits" };
+    return { ok: true, value };
+  }
+
+  function escapeHtml(raw) {
+    return String(raw == null ? "" : raw)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // Local calendar date as "YYYY-MM-DD", the form dates are stored and
+  // compared in
+  function dateKey(d) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  // Emails match regardless of case: validateEmail lowercases input, but
+  // older accounts keep the case they signed up with
+  function sameEmail(a, b) {
+    const key = (e) =>
+      String(e || "")
+        .trim()
+        .toLowerCase();
+    return !!key(a) && key(a) === key(b);
+  }
+
   function getErrorText(err, fallback = "An error occurred") {
     if (!err) return fallback;
     if (typeof err === "string") return err;
@@ -336,61 +600,6 @@
 
   console.log("✓ Cinco Coffee Script Loaded");
 
-  // ==========================
-  // SESSION MANAGER
-  // ==========================
-  const SessionManagerLegacy = (function () {
-    const KEY = "cincoSession";
-    function now() {
-      return Date.now();
-    }
-
-    return {
-      set(sessionObj = {}) {
-        try {
-          sessionObj._ts = now();
-          localStorage.setItem(KEY, JSON.stringify(sessionObj));
-          return sessionObj;
-        } catch (e) {
-          console.error("SessionManager.set error:", e);
-        }
-      },
-      get() {
-        try {
-          const raw = localStorage.getItem(KEY);
-          return raw ? JSON.parse(raw) : null;
-        } catch (e) {
-          console.error("SessionManager.get error:", e);
-          return null;
-        }
-      },
-      clear() {
-        try {
-          localStorage.removeItem(KEY);
-        } catch (e) {
-          console.error("SessionManager.clear error:", e);
-        }
-      },
-      isLoggedIn() {
-        const s = this.get();
-        return !!(s && s.userId && s.token);
-      },
-      isValid(maxAgeMs = 1000 * 60 * 60 * 24) {
-        try {
-          const s = this.get();
-          if (!s || !s.token || !s.userId) return false;
-          if (!s._ts) return true;
-          return now() - s._ts < Number(maxAgeMs);
-        } catch (e) {
-          console.error("SessionManager.isValid error:", e);
-          return false;
-        }
-      },
-    };
-  })();
-
-  window.SessionManagerLegacy = SessionManagerLegacy;
-
   // ============================================
   // NOTIFICATION SYSTEM
   // ============================================
@@ -560,19 +769,6 @@
     showNotification("📦 Processing your order...", 2000, "info");
   }
 
-  function onCheckoutSuccess(orderId) {
-    showNotification(
-      `✅ Order placed${orderId ? " — " + orderId : ""}`,
-      3500, // ← INCREASE from 3000 to 3500 so it stays longer
-      "success"
-    );
-    try {
-      localStorage.removeItem("cincoCart");
-    } catch (e) {}
-    if (typeof updateCartCount === "function") updateCartCount();
-    if (typeof rebuildCartModal === "function") rebuildCartModal();
-  }
-
   function onCheckoutError(msg) {
     showNotification(`❌ Checkout failed: ${msg || "Error"}`, 3000, "error");
   }
@@ -643,6 +839,20 @@
     }
   }
 
+  // The account's email changed: its failed attempts (and any lockout)
+  // follow it, so a new email is no way around the lockout
+  function moveLoginAttempts(fromEmail, toEmail) {
+    const key = (e) => (!e ? "" : String(e).trim().toLowerCase());
+    const from = key(fromEmail);
+    const to = key(toEmail);
+    if (!from || !to || from === to) return;
+    const map = _readLoginAttempts();
+    if (!map[from]) return;
+    map[to] = map[from];
+    delete map[from];
+    _writeLoginAttempts(map);
+  }
+
   function isLocked(email) {
     const entry = getLoginStatus(email);
     if (!entry || !entry.lockedUntil)
@@ -741,32 +951,33 @@
   // LOGIN & SIGNUP HANDLERS (MOVED OUTSIDE initAuthForms)
   // ============================================
 
+  // Where to go after login/signup: ?next= when it names a local page
+  function getPostLoginRedirect() {
+    try {
+      const next = new URLSearchParams(window.location.search).get("next");
+      if (next && /^[\w-]+\.html$/.test(next)) return next;
+    } catch (e) {}
+    return "index.html";
+  }
+
   function handleLogin(data) {
+    // sessions belong to an account id; an email is not one
+    const userId = data.userId || data.id;
+    if (data.success && !userId) {
+      console.error("handleLogin error: login result has no user id");
+      showFormMessage("loginForm", "❌ Login failed", "error");
+      return;
+    }
     if (data.success) {
-      const session = {
-        userId: data.userId || data.id || data.email,
+      const session = SessionManager.create({
+        userId,
         name: data.name || data.fullName || data.email,
         email: data.email || "",
-        token: data.token || "token_" + Date.now(),
-      };
-
-      // ALWAYS save to localStorage first (primary source of truth)
-      localStorage.setItem("cincoSession", JSON.stringify(session));
-
-      // ALSO populate SessionManager
-      if (
-        window.SessionManager &&
-        typeof window.SessionManager.create === "function"
-      ) {
-        // pass session object so SessionManager will store userId, email and meta consistently
-        window.SessionManager.create(
-          { userId: session.userId, name: session.name, email: session.email },
-          { meta: { name: session.name } }
-        );
-      }
+        token: data.token,
+        remember: !!data.remember,
+      });
 
-      // Save token separately
-      if (data.token) localStorage.setItem("cincoToken", data.token);
+      mergeGuestCart(session.userId);
 
       // Update UI
       if (typeof updateUserHeaderUI === "function") updateUserHeaderUI();
@@ -791,7 +1002,7 @@
 
       // Delay redirect slightly so the notification is visible
       setTimeout(() => {
-        window.location.href = "index.html";
+        window.location.href = getPostLoginRedirect();
       }, 800);
     }
   }
@@ -875,13 +1086,12 @@
         users.push(newUser);
         localStorage.setItem("cincoUsers", JSON.stringify(users));
 
-        const session = {
+        const session = SessionManager.create({
           userId: newUser.id,
           name: newUser.name,
           email: newUser.email,
-          token: "token_" + Date.now(),
-        };
-        localStorage.setItem("cincoSession", JSON.stringify(session));
+        });
+        mergeGuestCart(session.userId);
 
         if (typeof updateUserHeaderUI === "function") updateUserHeaderUI();
         if (typeof onSignupSuccess === "function")
@@ -890,7 +1100,7 @@
         console.log("✓ Signup successful:", session.userId);
 
         setTimeout(() => {
-          window.location.href = "index.html";
+          window.location.href = getPostLoginRedirect();
         }, 900);
       });
     } catch (error) {
@@ -1136,13 +1346,13 @@
 
                   // Login success
                   resetLoginAttempts(payload.email);
-                  const session = {
+                  const session = SessionManager.create({
                     userId: user.id,
                     name: user.name,
                     email: user.email,
-                    token: "token_" + Date.now(),
-                  };
-                  localStorage.setItem("cincoSession", JSON.stringify(session));
+                    remember: !!payload.remember,
+                  });
+                  mergeGuestCart(session.userId);
 
                   // Update UI
                   if (typeof updateUserHeaderUI === "function")
@@ -1157,7 +1367,7 @@
                   console.log("✓ User logged in:", session.userId);
 
                   setTimeout(() => {
-                    window.location.href = "index.html";
+                    window.location.href = getPostLoginRedirect();
                   }, 800);
                 } catch (error) {
                   console.error("Login error:", error);
@@ -1212,7 +1422,7 @@
                     userId: user.id,
                     name: user.name,
                     email: user.email,
-                    token: "token_" + Date.now(),
+                    remember: !!payload.remember,
                   });
                 }
               );
@@ -1330,106 +1540,500 @@
   }
 
   // ============================================
-  // HAMBURGER MENU TOGGLE - FIXED VERSION
+  // PASSWORD RESET
   // ============================================
-  function initHamburgerMenu() {
-    const hamburger = document.querySelector(".hamburger");
-    const navLinks = document.querySelector("nav ul");
+  // "Forgot your password?" on logSign.html leads to reset.html. A reset
+  // link carries a single-use token (SessionManager.genToken) that expires
+  // after RESET_TOKEN_TTL_MS. Mail goes through MailTransport; locally that
+  // is a mock outbox in localStorage, readable on outbox.html.
+  const RESET_TOKENS_KEY = "cincoResetTokens"; // [{ token, userId, expiresAt, usedAt }]
+  const RESET_TOKEN_TTL_MS = 30 * 60 * 1000; // 30 minutes
+  const OUTBOX_KEY = "cincoOutbox"; // [message, ...], newest last
+
+  // A transport has send(message) -> Promise; message is
+  // { to, subject, text, link }
+  function createOutboxTransport() {
+    function read() {
+      try {
+        const list = JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]");
+        return Array.isArray(list) ? list : [];
+      } catch (e) {
+        return [];
+      }
+    }
 
-    if (!hamburger || !navLinks) {
-      console.log("ℹ️ Hamburger or nav not found (expected on some pages)");
-      return;
+    function send(message) {
+      const list = read();
+      const stored = Object.assign(
+        {
+          id: `mail_${Date.now().toString(36)}_${list.length + 1}`,
+          sentAt: new Date().toISOString(),
+        },
+        message
+      );
+      list.push(stored);
+      try {
+        localStorage.setItem(OUTBOX_KEY, JSON.stringify(list));
+      } catch (e) {
+        return Promise.reject(e);
+      }
+      return Promise.resolve({ ok: true, id: stored.id });
     }
 
-    console.log("✓ Initializing hamburger menu");
+    // Newest first
+    function list() {
+      return read().reverse();
+    }
 
-    // Ensure hamburger is clickable
-    hamburger.style.cursor = "pointer";
-    hamburger.style.pointerEvents = "auto";
-    hamburger.style.position = "relative";
-    hamburger.style.zIndex = "1001";
+    function clear() {
+      try {
+        localStorage.removeItem(OUTBOX_KEY);
+      } catch (e) {}
+    }
 
-    // Toggle function
-    const toggleMenu = (e) => {
-      if (e) {
-        e.preventDefault();
-        e.stopPropagation();
-      }
+    return { send, list, clear, isOutbox: true };
+  }
 
-      navLinks.classList.toggle("active");
-      hamburger.classList.toggle("active");
+  const MailTransport = (function () {
+    let transport = createOutboxTransport();
 
-      // Prevent body scroll when menu is open
-      if (navLinks.classList.contains("active")) {
-        document.body.style.overflow = "hidden";
-      } else {
-        document.body.style.overflow = "";
+    // Swap in a real mail service: MailTransport.use({ send(message) })
+    function use(next) {
+      if (!next || typeof next.send !== "function") {
+        throw new Error("Mail transport needs a send(message) function");
       }
+      transport = next;
+    }
 
-      console.log("Menu toggled:", navLinks.classList.contains("active"));
-    };
+    function send(message) {
+      try {
+        return Promise.resolve(transport.send(message));
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    }
 
-    // Bind click event
-    hamburger.addEventListener("click", toggleMenu);
-    hamburger.addEventListener("touchstart", toggleMenu, { passive: false });
+    function current() {
+      return transport;
+    }
 
-    // Close menu when a link is clicked
-    navLinks.querySelectorAll("a").forEach((link) => {
-      link.addEventListener("click", () => {
-        navLinks.classList.remove("active");
-        hamburger.classList.remove("active");
-        document.body.style.overflow = "";
-      });
-    });
+    return { use, send, current };
+  })();
 
-    // Close menu when clicking outside
-    document.addEventListener("click", (e) => {
-      if (!hamburger.contains(e.target) && !navLinks.contains(e.target)) {
-        if (navLinks.classList.contains("active")) {
-          navLinks.classList.remove("active");
-          hamburger.classList.remove("active");
-          document.body.style.overflow = "";
-        }
-      }
-    });
+  window.MailTransport = MailTransport;
 
-    console.log("✓ Hamburger menu initialized");
+  function readUsers() {
+    try {
+      const users = JSON.parse(localStorage.getItem("cincoUsers") || "[]");
+      return Array.isArray(users) ? users : [];
+    } catch (e) {
+      return [];
+    }
   }
 
-  // ============================================
-  // FEEDBACK FORM (contact.html)
-  // ============================================
-  function initFeedbackForm() {
-    try {
-      const form = document.getElementById("feedbackForm");
-      const successEl = document.getElementById("feedbackSuccess");
-      if (!form) return;
-      if (successEl) successEl.style.display = "none";
-      if (form.__cincoBound) return;
-      form.__cincoBound = true;
+  function writeUsers(users) {
+    localStorage.setItem("cincoUsers", JSON.stringify(users));
+  }
 
-      form.addEventListener("submit", (e) => {
-        e.preventDefault();
-        // Read raw values
-        const rawName = (
-          form.querySelector("#feedbackName")?.value || ""
-        ).trim();
-        const rawEmail = (
-          form.querySelector("#feedbackEmail")?.value || ""
-        ).trim();
-        const rawSubject = (
-          form.querySelector("#feedbackSubject")?.value || ""
-        ).trim();
-        const rawMessage = (
-          form.querySelector("#feedbackMessage")?.value || ""
-        ).trim();
+  const PasswordReset = (function () {
+    function readTokens() {
+      try {
+        const list = JSON.parse(localStorage.getItem(RESET_TOKENS_KEY) || "[]");
+        return Array.isArray(list) ? list : [];
+      } catch (e) {
+        return [];
+      }
+    }
 
-        // Check required fields first (before sanitizing)
-        if (!rawName || !rawEmail || !rawSubject || !rawMessage) {
-          showNotification(
-            "❌ Please fill in all feedback fields",
-            2500,
-            "error"
+    // Expired and used tokens are dropped a day after they stop working
+    function writeTokens(list) {
+      const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+      localStorage.setItem(
+        RESET_TOKENS_KEY,
+        JSON.stringify(list.filter((t) => (t.usedAt || t.expiresAt) > cutoff))
+      );
+    }
+
+    function resetLink(token) {
+      const path = `reset.html?token=${encodeURIComponent(token)}`;
+      try {
+        return new URL(path, window.location.href).href;
+      } catch (e) {
+        return path;
+      }
+    }
+
+    // Resolves with the same answer whether or not the email has an
+    // account, so the form can't be used to find out who is registered
+    function request(rawEmail) {
+      const emailRes = validateEmail(rawEmail);
+      if (!emailRes.ok) return Promise.resolve(emailRes);
+      const done = {
+        ok: true,
+        msg: "If an account exists for that email, we've sent a link to reset your password.",
+      };
+
+      const user = readUsers().find((u) => sameEmail(u.email, emailRes.value));
+      if (!user) return Promise.resolve(done);
+
+      const now = Date.now();
+      const token = SessionManager.genToken(32);
+      // a new link replaces any earlier one
+      const tokens = readTokens().map((t) =>
+        t.userId === user.id && !t.usedAt
+          ? Object.assign(t, { usedAt: now })
+          : t
+      );
+      tokens.push({
+        token,
+        userId: user.id,
+        createdAt: now,
+        expiresAt: now + RESET_TOKEN_TTL_MS,
+        usedAt: null,
+      });
+      writeTokens(tokens);
+
+      const link = resetLink(token);
+      return MailTransport.send({
+        to: user.email,
+        subject: "Reset your Cinco Coffee password",
+        text: `Hi ${
+          user.name || "kaCinco"
+        },\n\nWe got a request to reset your Cinco Coffee password. Open this link within ${
+          RESET_TOKEN_TTL_MS / 60000
+        } minutes to choose a new one:\n\n${link}\n\nIf you didn't ask for this, you can ignore this email — your password stays the same.`,
+        link,
+      })
+        .then(() => done)
+        .catch((err) => {
+          console.error("PasswordReset mail error:", err);
+          return {
+            ok: false,
+            msg: "We couldn't send the reset email. Please try again.",
+          };
+        });
+    }
+
+    // { ok, entry, user } or { ok: false, msg }
+    function verify(token) {
+      const entry = token && readTokens().find((t) => t.token === token);
+      if (!entry)
+        return {
+          ok: false,
+          msg: "This reset link is not valid. Please request a new one.",
+        };
+      if (entry.usedAt)
+        return {
+          ok: false,
+          msg: "This reset link was already used. Please request a new one.",
+        };
+      if (Date.now() > entry.expiresAt)
+        return {
+          ok: false,
+          msg: "This reset link has expired. Please request a new one.",
+        };
+      const user = readUsers().find((u) => u.id === entry.userId);
+      if (!user)
+        return {
+          ok: false,
+          msg: "This reset link is not valid. Please request a new one.",
+        };
+      return { ok: true, entry, user };
+    }
+
+    // New password for the token's user: re-hashed with bcrypt, the token
+    // used up, and every session of that user logged out
+    function complete(token, password, confirmPassword) {
+      const check = verify(token);
+      if (!check.ok) return Promise.resolve(check);
+      const passRes = validatePassword(password);
+      if (!passRes.ok) return Promise.resolve(passRes);
+      if (password !== confirmPassword)
+        return Promise.resolve({ ok: false, msg: "Passwords do not match" });
+
+      return new Promise((resolve) => {
+        bcrypt.hash(password, 10, function (err, hashed) {
+          if (err) {
+            console.error("Bcrypt hash error:", err);
+            resolve({ ok: false, msg: "Could not reset your password" });
+            return;
+          }
+          // re-check: the token may have been used in another tab meanwhile
+          const again = verify(token);
+          if (!again.ok) {
+            resolve(again);
+            return;
+          }
+          const users = readUsers();
+          const user = users.find((u) => u.id === again.user.id);
+          user.password = hashed;
+          user.passwordChangedAt = Date.now();
+          writeUsers(users);
+
+          writeTokens(
+            readTokens().map((t) =>
+              t.userId === user.id && !t.usedAt
+                ? Object.assign(t, { usedAt: Date.now() })
+                : t
+            )
+          );
+          revokeUserSessions(user);
+          resetLoginAttempts(user.email);
+          resolve({ ok: true, user });
+        });
+      });
+    }
+
+    return { request, verify, complete };
+  })();
+
+  window.PasswordReset = PasswordReset;
+
+  // Log out this tab's session if it belongs to `user`. Sessions in other
+  // tabs and browsers end on their own once the account is gone or its
+  // passwordChangedAt is newer than them (see SessionManager.endReason).
+  function revokeUserSessions(user) {
+    const owns = (s) =>
+      !!s &&
+      ((s.userId && s.userId === user.id) || sameEmail(s.email, user.email));
+    if (owns(SessionManager.get())) SessionManager.clear();
+    if (typeof updateUserHeaderUI === "function") updateUserHeaderUI();
+  }
+
+  function initPasswordResetPage() {
+    const requestForm = document.getElementById("resetRequestForm");
+    const resetForm = document.getElementById("resetPasswordForm");
+    if (!requestForm && !resetForm) return;
+
+    const token = new URLSearchParams(window.location.search).get("token");
+    const show = (form, visible) => {
+      if (form) form.classList.toggle("active", visible);
+    };
+    show(requestForm, !token);
+    show(resetForm, !!token);
+
+    const setBusy = (form, busy) => {
+      const btn = form.querySelector(".auth-btn");
+      if (!btn) return;
+      btn.disabled = busy;
+      const span = btn.querySelector("span");
+      const spinner = btn.querySelector("i");
+      if (span) span.style.display = busy ? "none" : "inline";
+      if (spinner) spinner.style.display = busy ? "inline" : "none";
+    };
+
+    if (requestForm) {
+      const hint = requestForm.querySelector(".reset-outbox-hint");
+      requestForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        const email = requestForm.querySelector("#resetEmail").value.trim();
+        setBusy(requestForm, true);
+        PasswordReset.request(email).then((res) => {
+          setBusy(requestForm, false);
+          showFormMessage(
+            "resetRequestForm",
+            res.ok ? `✅ ${res.msg}` : `❌ ${getErrorText(res, "Error")}`,
+            res.ok ? "success" : "error"
+          );
+          if (hint && res.ok)
+            hint.style.display = MailTransport.current().isOutbox ? "" : "none";
+        });
+      });
+    }
+
+    if (resetForm && token) {
+      const check = PasswordReset.verify(token);
+      if (!check.ok) {
+        showFormMessage("resetPasswordForm", `❌ ${check.msg}`, "error");
+        resetForm
+          .querySelectorAll("input, button")
+          .forEach((el) => (el.disabled = true));
+        const again = resetForm.querySelector(".reset-request-again");
+        if (again) again.style.display = "";
+        return;
+      }
+      const forEl = resetForm.querySelector(".reset-account");
+      if (forEl) forEl.textContent = check.user.email;
+
+      resetForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        setBusy(resetForm, true);
+        PasswordReset.complete(
+          token,
+          resetForm.querySelector("#resetPassword").value,
+          resetForm.querySelector("#resetConfirm").value
+        ).then((res) => {
+          setBusy(resetForm, false);
+          if (!res.ok) {
+            showFormMessage(
+              "resetPasswordForm",
+              `❌ ${getErrorText(res, "Could not reset your password")}`,
+              "error"
+            );
+            return;
+          }
+          resetForm.reset();
+          resetForm
+            .querySelectorAll("input, button")
+            .forEach((el) => (el.disabled = true));
+          showFormMessage(
+            "resetPasswordForm",
+            "✅ Your password has been reset. Redirecting you to log in…",
+            "success"
+          );
+          setTimeout(() => {
+            window.location.href = "logSign.html";
+          }, 1500);
+        });
+      });
+    }
+  }
+
+  function initOutboxPage() {
+    const listEl = document.getElementById("outboxList");
+    if (!listEl) return;
+    const transport = MailTransport.current();
+
+    function render() {
+      const messages = transport.list ? transport.list() : [];
+      listEl.innerHTML = messages.length
+        ? messages
+            .map(
+              (m) => `
+          <article class="outbox-message">
+            <header>
+              <strong>${escapeHtml(m.subject)}</strong>
+              <span>To: ${escapeHtml(m.to)} · ${escapeHtml(
+                formatOrderDate(m.sentAt)
+              )}</span>
+            </header>
+            <pre>${escapeHtml(m.text)}</pre>
+            ${
+              m.link
+                ? `<a class="btn outbox-link" href="${escapeHtml(
+                    m.link
+                  )}">Open link</a>`
+                : ""
+            }
+          </article>`
+            )
+            .join("")
+        : '<p class="orders-empty">No emails yet.</p>';
+    }
+
+    const clearBtn = document.querySelector(".outbox-clear-btn");
+    if (clearBtn && transport.clear)
+      clearBtn.addEventListener("click", () => {
+        transport.clear();
+        render();
+      });
+    window.addEventListener("storage", (e) => {
+      if (e.key === OUTBOX_KEY) render();
+    });
+    render();
+  }
+
+  // ============================================
+  // HAMBURGER MENU TOGGLE - FIXED VERSION
+  // ============================================
+  function initHamburgerMenu() {
+    const hamburger = document.querySelector(".hamburger");
+    const navLinks = document.querySelector("nav ul");
+
+    if (!hamburger || !navLinks) {
+      console.log("ℹ️ Hamburger or nav not found (expected on some pages)");
+      return;
+    }
+
+    console.log("✓ Initializing hamburger menu");
+
+    // Ensure hamburger is clickable
+    hamburger.style.cursor = "pointer";
+    hamburger.style.pointerEvents = "auto";
+    hamburger.style.position = "relative";
+    hamburger.style.zIndex = "1001";
+
+    // Toggle function
+    const toggleMenu = (e) => {
+      if (e) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+
+      navLinks.classList.toggle("active");
+      hamburger.classList.toggle("active");
+
+      // Prevent body scroll when menu is open
+      if (navLinks.classList.contains("active")) {
+        document.body.style.overflow = "hidden";
+      } else {
+        document.body.style.overflow = "";
+      }
+
+      console.log("Menu toggled:", navLinks.classList.contains("active"));
+    };
+
+    // Bind click event
+    hamburger.addEventListener("click", toggleMenu);
+    hamburger.addEventListener("touchstart", toggleMenu, { passive: false });
+
+    // Close menu when a link is clicked
+    navLinks.querySelectorAll("a").forEach((link) => {
+      link.addEventListener("click", () => {
+        navLinks.classList.remove("active");
+        hamburger.classList.remove("active");
+        document.body.style.overflow = "";
+      });
+    });
+
+    // Close menu when clicking outside
+    document.addEventListener("click", (e) => {
+      if (!hamburger.contains(e.target) && !navLinks.contains(e.target)) {
+        if (navLinks.classList.contains("active")) {
+          navLinks.classList.remove("active");
+          hamburger.classList.remove("active");
+          document.body.style.overflow = "";
+        }
+      }
+    });
+
+    console.log("✓ Hamburger menu initialized");
+  }
+
+  // ============================================
+  // FEEDBACK FORM (contact.html)
+  // ============================================
+  function initFeedbackForm() {
+    try {
+      const form = document.getElementById("feedbackForm");
+      const successEl = document.getElementById("feedbackSuccess");
+      if (!form) return;
+      if (successEl) successEl.style.display = "none";
+      if (form.__cincoBound) return;
+      form.__cincoBound = true;
+
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        // Read raw values
+        const rawName = (
+          form.querySelector("#feedbackName")?.value || ""
+        ).trim();
+        const rawEmail = (
+          form.querySelector("#feedbackEmail")?.value || ""
+        ).trim();
+        const rawSubject = (
+          form.querySelector("#feedbackSubject")?.value || ""
+        ).trim();
+        const rawMessage = (
+          form.querySelector("#feedbackMessage")?.value || ""
+        ).trim();
+
+        // Check required fields first (before sanitizing)
+        if (!rawName || !rawEmail || !rawSubject || !rawMessage) {
+          showNotification(
+            "❌ Please fill in all feedback fields",
+            2500,
+            "error"
           );
           return;
         }
@@ -1504,207 +2108,3599 @@
   }
 
   // ============================================
-  // CART FUNCTIONS
+  // PRODUCT CATALOG
   // ============================================
+  // Single source of truth for product names, sizes and prices.
+  // Loaded once per page from data/catalog.json; cart lines reference
+  // products by catalog id + size and never trust a stored price.
+  const CATALOG_URL = "data/catalog.json";
+  const MAX_NOTE_LENGTH = 140; // per-drink barista note
+
+  const Catalog = (function () {
+    let data = null;
+    let pending = null;
+    const byId = new Map();
+
+    function normalizeName(name) {
+      return String(name || "")
+        .replace(/\s*\([^)]*\)\s*$/, "") // drop trailing "(350ml)"
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .trim()
+        .toLowerCase();
+    }
 
-  function isUserLoggedIn() {
-    try {
-      // Primary: Check localStorage session
-      const session = JSON.parse(localStorage.getItem("cincoSession"));
-      if (session && session.userId) {
-        return true;
-      }
+    function index(json) {
+      byId.clear();
+      (json.products || []).forEach((p) => byId.set(p.id, p));
+      data = json;
+      return data;
+    }
 
-      // Fallback: Check SessionManager
-      if (
-        typeof SessionManager !== "undefined" &&
-        typeof SessionManager.isValid === "function"
-      ) {
-        return SessionManager.isValid();
-      }
-      return false;
-    } catch (e) {
-      return false;
+    function load() {
+      if (data) return Promise.resolve(data);
+      if (pending) return pending;
+      pending = fetch(CATALOG_URL, { cache: "no-cache" })
+        .then((res) => {
+          if (!res.ok)
+            throw new Error(`Catalog request failed (${res.status})`);
+          return res.json();
+        })
+        .then(index)
+        .catch((err) => {
+          pending = null;
+          console.error("Catalog load error:", err);
+          throw err;
+        });
+      return pending;
     }
-  }
 
-  function addToCart(item) {
-    try {
-      // Restore session from localStorage or SessionManager
-      let session = null;
-      try {
-        const raw = localStorage.getItem("cincoSession");
-        if (raw) session = JSON.parse(raw);
-      } catch (e) {}
+    function isLoaded() {
+      return !!data;
+    }
 
-      if (
-        !session &&
-        window.SessionManager &&
-        typeof window.SessionManager.get === "function"
-      ) {
-        try {
-          session = window.SessionManager.get();
-        } catch (e) {}
-      }
+    function getCategories() {
+      return data ? data.categories.slice() : [];
+    }
 
-      // REQUIRE login — no guest sessions
-      if (!session || !session.userId) {
-        showNotification(
-          "Please log in first to add items to cart",
-          2500,
-          "warning"
-        );
-        setTimeout(() => {
-          window.location.href = "logSign.html";
-        }, 600);
-        return;
-      }
+    function getProducts(categoryId) {
+      if (!data) return [];
+      return data.products.filter(
+        (p) => !categoryId || p.category === categoryId
+      );
+    }
 
-      if (typeof item === "string")
-        item = { id: item, name: item, price: 0, qty: 1 };
-      if (!item || !item.id) {
-        console.warn("Invalid item:", item);
-        return;
-      }
+    function getProduct(productId) {
+      return byId.get(String(productId || "")) || null;
+    }
 
-      item.qty = item.qty || 1;
-      item.price = Number(item.price) || 0;
-      item.name = item.name || item.id;
+    function getVariant(productId, size) {
+      const product = getProduct(productId);
+      if (!product) return null;
+      return (
+        product.variants.find(
+          (v) =>
+            String(v.size).toLowerCase() === String(size || "").toLowerCase()
+        ) || null
+      );
+    }
 
-      const raw = localStorage.getItem("cincoCart");
-      const allCarts = raw ? JSON.parse(raw) : {};
-      const userCart = allCarts[session.userId] || [];
+    function getPrice(productId, size) {
+      const variant = getVariant(productId, size);
+      return variant ? Number(variant.price) : null;
+    }
 
-      const existing = userCart.find((p) => p.id === item.id);
-      if (existing) {
-        existing.qty += item.qty;
-        showNotification(
-          `✅ ${item.name} quantity updated in cart`,
-          1500,
-          "success"
-        );
-      } else {
-        userCart.push(item);
-        showNotification(`✅ ${item.name} added to cart!`, 1500, "success");
-      }
+    // Cart line identity: product + size, plus a short signature when the
+    // drink is customized so differently-made drinks stay separate lines.
+    function lineId(productId, size, signature = "") {
+      const base = `${productId}-${size}`;
+      return signature ? `${base}~${hashKey(signature)}` : base;
+    }
 
-      allCarts[session.userId] = userCart;
-      localStorage.setItem("cincoCart", JSON.stringify(allCarts));
+    function hashKey(str) {
+      let h = 5381;
+      for (let i = 0; i < str.length; i++) {
+        h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+      }
+      return (h >>> 0).toString(36);
+    }
 
-      updateCartCount();
+    // Resolve a stored cart line to its catalog product. Lines saved before
+    // the catalog existed only carry a display name like "Americano (350ml)".
+    function resolve(item) {
+      if (!item) return null;
+      if (item.productId) return getProduct(item.productId);
+      const wanted = normalizeName(item.name);
+      if (!wanted || !data) return null;
+      return (
+        data.products.find((p) => normalizeName(p.name) === wanted) || null
+      );
+    }
 
-      setTimeout(() => {
-        rebuildCartModal();
-      }, 100);
-    } catch (err) {
-      console.error("addToCart error:", err);
-      showNotification("❌ Error adding item to cart", 2000, "error");
+    // Customization groups offered for a product. A product-level list
+    // overrides its category's list; add-ons can be limited to categories.
+    function getCustomizations(productId) {
+      const product = getProduct(productId);
+      if (!product || !data) return [];
+      const category =
+        data.categories.find((c) => c.id === product.category) || {};
+      const ids = product.customizations || category.customizations || [];
+      return (data.customizations || [])
+        .filter((group) => ids.includes(group.id))
+        .map((group) =>
+          Object.assign({}, group, {
+            choices: group.choices.filter(
+              (c) => !c.categories || c.categories.includes(product.category)
+            ),
+          })
+        )
+        .filter((group) => group.choices.length);
     }
-  }
 
-  function updateCartCount() {
-    try {
-      // Skip cart count update on checkout page
-      if (window.location.pathname.includes("checkout")) {
-        return;
-      }
+    function choiceLabel(choice) {
+      const price = Number(choice.price) || 0;
+      return price ? `${choice.label} (+₱${price})` : choice.label;
+    }
 
-      // Restore from localStorage FIRST
-      let session = null;
-      try {
-        const raw = localStorage.getItem("cincoSession");
-        if (raw) {
-          session = JSON.parse(raw);
-          console.log(
-            "✓ Cart: Restored session from localStorage:",
-            session.userId
-          );
+    // Validate raw selections against the catalog. Unknown choices fall back
+    // to the group default; labels only list non-default picks and add-ons.
+    function normalizeOptions(productId, raw) {
+      const picked = raw || {};
+      const options = {};
+      const labels = [];
+      let modifier = 0;
+
+      getCustomizations(productId).forEach((group) => {
+        const choices = new Map(group.choices.map((c) => [c.id, c]));
+        if (group.type === "multi") {
+          const ids = (Array.isArray(picked[group.id]) ? picked[group.id] : [])
+            .map(String)
+            .filter((id, i, arr) => choices.has(id) && arr.indexOf(id) === i)
+            .sort();
+          if (ids.length) options[group.id] = ids;
+          ids.forEach((id) => {
+            const choice = choices.get(id);
+            modifier += Number(choice.price) || 0;
+            labels.push(choiceLabel(choice));
+          });
+        } else {
+          const wanted =
+            picked[group.id] != null ? String(picked[group.id]) : group.default;
+          const choice =
+            choices.get(wanted) ||
+            choices.get(group.default) ||
+            group.choices[0];
+          options[group.id] = choice.id;
+          modifier += Number(choice.price) || 0;
+          if (choice.id !== group.default) labels.push(choiceLabel(choice));
         }
-      } catch (e) {
-        console.warn("Could not parse localStorage session:", e);
-      }
+      });
 
-      // Only fallback to SessionManager if localStorage is empty
-      if (!session && typeof SessionManager !== "undefined") {
-        try {
-          session = SessionManager.get();
-          if (session) {
-            console.log(
-              "✓ Cart: Got session from SessionManager:",
-              session.userId
-            );
-          }
-        } catch (e) {}
+      return { options, labels, modifier };
+    }
+
+    // Authoritative unit price for a cart line: variant price + modifiers
+    function priceOf(item) {
+      const product = resolve(item);
+      if (!product) return null;
+      const base = getPrice(product.id, item.size);
+      if (base === null) return null;
+      return base + normalizeOptions(product.id, item.options).modifier;
+    }
+
+    // Build a cart line from catalog data only (name, price and image).
+    function toCartItem(productId, size, qty = 1, custom = {}) {
+      const product = getProduct(productId);
+      const variant = getVariant(productId, size);
+      if (!product || !variant) return null;
+
+      const { options, labels, modifier } = normalizeOptions(
+        product.id,
+        custom.options
+      );
+      const note = sanitizeInput(custom.note || "").slice(0, MAX_NOTE_LENGTH);
+      const signature =
+        labels.length || note ? JSON.stringify([options, note]) : "";
+
+      return {
+        id: lineId(product.id, variant.size, signature),
+        productId: product.id,
+        name: product.name,
+        category: product.category,
+        size: variant.size,
+        basePrice: Number(variant.price),
+        price: Number(variant.price) + modifier,
+        options,
+        optionLabels: labels,
+        note,
+        qty: Math.max(1, Number(qty) || 1),
+        img: product.img,
+      };
+    }
+
+    return {
+      load,
+      isLoaded,
+      getCategories,
+      getProducts,
+      getProduct,
+      getVariant,
+      getPrice,
+      lineId,
+      resolve,
+      getCustomizations,
+      normalizeOptions,
+      priceOf,
+      toCartItem,
+    };
+  })();
+
+  window.Catalog = Catalog;
+
+  function renderProductCard(product) {
+    const prices = product.variants
+      .map(
+        (v) =>
+          `<p><strong>${escapeHtml(v.size)}:</strong> ₱${Number(v.price)}</p>`
+      )
+      .join("");
+    const buttons = product.variants
+      .map(
+        (v) => `
+                <button
+                  class="add-to-cart-btn"
+                  data-product-id="${escapeHtml(product.id)}"
+                  data-size="${escapeHtml(v.size)}"
+                >
+                  Add ${escapeHtml(v.size)}
+                </button>`
+      )
+      .join("");
+
+    const card = document.createElement("div");
+    card.className = "product-card";
+    card.setAttribute("data-product-id", product.id);
+    card.innerHTML = `
+            <div class="product-img">
+              <img src="${escapeHtml(product.img)}" alt="${escapeHtml(
+      product.name
+    )}" />
+            </div>
+            <div class="product-info">
+              <h3 class="product-name">${escapeHtml(product.name)}</h3>
+              <p class="product-description">${escapeHtml(
+                product.description || ""
+              )}</p>
+              <div class="price-info">${prices}</div>
+              <div class="add-to-cart-container">${buttons}</div>
+            </div>
+    `;
+    return card;
+  }
+
+  // Render the full menu into #productCatalog (productupdate.html)
+  function renderProductGrid() {
+    const root = document.getElementById("productCatalog");
+    if (!root) return Promise.resolve();
+
+    return Catalog.load()
+      .then(() => {
+        root.innerHTML = "";
+        Catalog.getCategories().forEach((cat) => {
+          const products = Catalog.getProducts(cat.id);
+          if (!products.length) return;
+
+          const title = document.createElement("h2");
+          title.id = cat.id;
+          title.className = "section-title";
+          title.textContent = cat.name;
+
+          const grid = document.createElement("div");
+          grid.className = "product-grid";
+          grid.style.cssText =
+            "display:grid; grid-template-columns:repeat(auto-fit, minmax(280px, 1fr)); gap:20px; margin-bottom:60px;";
+          products.forEach((p) => grid.appendChild(renderProductCard(p)));
+
+          root.appendChild(title);
+          root.appendChild(grid);
+        });
+        bindProductButtons();
+      })
+      .catch(() => {
+        root.innerHTML =
+          '<p style="padding:20px;text-align:center;color:#666;">Our menu could not be loaded. Please refresh the page.</p>';
+      });
+  }
+
+  // Fill static price tags (e.g. index.html) from the catalog
+  function hydrateCatalogPrices() {
+    const tags = document.querySelectorAll(
+      ".price-tag[data-product-id][data-size]"
+    );
+    if (!tags.length) return;
+    Catalog.load()
+      .then(() => {
+        tags.forEach((tag) => {
+          const price = Catalog.getPrice(
+            tag.getAttribute("data-product-id"),
+            tag.getAttribute("data-size")
+          );
+          if (price !== null) tag.textContent = `₱${price}`;
+        });
+      })
+      .catch(() => {});
+  }
+
+  // ============================================
+  // DRINK CUSTOMIZATION
+  // ============================================
+
+  function ensureCustomizeModal() {
+    let modal = document.getElementById("customizeModal");
+    if (modal) return modal;
+
+    modal = document.createElement("div");
+    modal.id = "customizeModal";
+    modal.className = "customize-modal";
+    modal.setAttribute("role", "dialog");
+    modal.setAttribute("aria-modal", "true");
+    modal.setAttribute("aria-labelledby", "customizeTitle");
+    modal.setAttribute("aria-hidden", "true");
+    modal.innerHTML = `
+      <form class="customize-dialog" id="customizeForm" novalidate>
+        <div class="customize-header">
+          <div>
+            <h3 id="customizeTitle">Customize</h3>
+            <span class="customize-size"></span>
+          </div>
+          <button type="button" class="customize-close" aria-label="Close">✕</button>
+        </div>
+        <div class="customize-body"></div>
+        <div class="customize-footer">
+          <span class="customize-price" aria-live="polite">₱0.00</span>
+          <button type="submit" class="btn customize-add-btn">Add to cart</button>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector("#customizeForm");
+    modal
+      .querySelector(".customize-close")
+      .addEventListener("click", closeCustomizeModal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) closeCustomizeModal();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && modal.classList.contains("active")) {
+        closeCustomizeModal();
+      }
+    });
+    form.addEventListener("change", updateCustomizePrice);
+    form.addEventListener("input", updateCustomizePrice);
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const { productId, size } = modal.dataset;
+      const { options, note } = readCustomizeSelections(form, productId);
+      closeCustomizeModal();
+      addToCart({ productId, size, qty: 1, options, note });
+    });
+
+    return modal;
+  }
+
+  function readCustomizeSelections(form, productId) {
+    const options = {};
+    Catalog.getCustomizations(productId).forEach((group) => {
+      const inputs = Array.from(
+        form.querySelectorAll(`input[name="opt-${group.id}"]:checked`)
+      );
+      options[group.id] =
+        group.type === "multi"
+          ? inputs.map((i) => i.value)
+          : inputs[0]
+          ? inputs[0].value
+          : group.default;
+    });
+    const noteEl = form.querySelector("#customizeNote");
+    return { options, note: noteEl ? noteEl.value : "" };
+  }
+
+  function updateCustomizePrice() {
+    const modal = document.getElementById("customizeModal");
+    if (!modal) return;
+    const { productId, size } = modal.dataset;
+    const base = Catalog.getPrice(productId, size) || 0;
+    const { options } = readCustomizeSelections(
+      modal.querySelector("#customizeForm"),
+      productId
+    );
+    const { modifier } = Catalog.normalizeOptions(productId, options);
+    modal.querySelector(".customize-price").textContent = `₱${(
+      base + modifier
+    ).toFixed(2)}`;
+  }
+
+  // Customization step shown before a drink goes into the cart
+  function openCustomizeModal(productId, size) {
+    Catalog.load()
+      .then(() => {
+        const product = Catalog.getProduct(productId);
+        const groups = Catalog.getCustomizations(productId);
+        if (!product || !groups.length) {
+          addToCart({ productId, size, qty: 1 });
+          return;
+        }
+
+        const modal = ensureCustomizeModal();
+        modal.dataset.productId = productId;
+        modal.dataset.size = size;
+        modal.querySelector("#customizeTitle").textContent = product.name;
+        modal.querySelector(".customize-size").textContent = size;
+
+        const body = modal.querySelector(".customize-body");
+        body.innerHTML = groups
+          .map((group) => {
+            const multi = group.type === "multi";
+            const choices = group.choices
+              .map((c) => {
+                const price = Number(c.price) || 0;
+                return `
+                  <label class="customize-choice">
+                    <input type="${multi ? "checkbox" : "radio"}" name="opt-${
+                  group.id
+                }" value="${escapeHtml(c.id)}" ${
+                  !multi && c.id === group.default ? "checked" : ""
+                } />
+                    <span>${escapeHtml(c.label)}</span>
+                    ${
+                      price
+                        ? `<span class="customize-choice-price">+₱${price}</span>`
+                        : ""
+                    }
+                  </label>`;
+              })
+              .join("");
+            return `
+              <fieldset class="customize-group">
+                <legend>${escapeHtml(group.label)}</legend>
+                <div class="customize-choices">${choices}</div>
+              </fieldset>`;
+          })
+          .join("");
+        body.insertAdjacentHTML(
+          "beforeend",
+          `
+          <div class="customize-group">
+            <label for="customizeNote">Note for the barista (optional)</label>
+            <textarea id="customizeNote" class="form-control" rows="2" maxlength="${MAX_NOTE_LENGTH}" placeholder="e.g. less foam, separate the ice"></textarea>
+          </div>`
+        );
+
+        updateCustomizePrice();
+        modal.classList.add("active");
+        modal.setAttribute("aria-hidden", "false");
+        const first = body.querySelector("input:checked, input");
+        if (first) first.focus();
+      })
+      .catch(() =>
+        showNotification("❌ Menu unavailable, please try again", 2000, "error")
+      );
+  }
+
+  function closeCustomizeModal() {
+    const modal = document.getElementById("customizeModal");
+    if (!modal) return;
+    modal.classList.remove("active");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  // Selected options and barista note for a cart/order line
+  function renderLineOptions(item, className) {
+    const labels = Array.isArray(item.optionLabels) ? item.optionLabels : [];
+    let html = labels.length
+      ? `<div class="${className}-options">${escapeHtml(
+          labels.join(" · ")
+        )}</div>`
+      : "";
+    if (item.note) {
+      html += `<div class="${className}-note">Note: ${escapeHtml(
+        item.note
+      )}</div>`;
+    }
+    return html;
+  }
+
+  // ============================================
+  // PROMOTIONS
+  // ============================================
+  // Promos announced on announcements.html. Dates are inclusive local dates,
+  // `days` uses Date#getDay() (0 = Sunday). Expired rules are ignored.
+  // buy_x_get_y: for every `buy.qty` paid drinks, the cheapest `get.qty`
+  // drinks matching `get.category` are free (add-on charges still apply).
+  const PROMOTIONS = [
+    {
+      id: "b2g1-coffee",
+      title: "Buy Two Get One Free",
+      type: "buy_x_get_y",
+      days: [1, 2], // Monday and Tuesday
+      validUntil: "2026-05-30",
+      buy: { qty: 2, category: "coffee" },
+      get: { qty: 1, category: "coffee" },
+    },
+    {
+      id: "b3g2-non-coffee",
+      title: "Buy 3 Get 2 Non-Coffee",
+      type: "buy_x_get_y",
+      validUntil: "2026-05-30",
+      buy: { qty: 3 },
+      get: { qty: 2, category: "non-coffee" },
+    },
+  ];
+
+  const Promotions = (function () {
+    const round2 = (n) => Math.round(n * 100) / 100;
+
+    function isActive(rule, now) {
+      const today = dateKey(now);
+      if (rule.validFrom && today < rule.validFrom) return false;
+      if (rule.validUntil && today > rule.validUntil) return false;
+      if (Array.isArray(rule.days) && !rule.days.includes(now.getDay()))
+        return false;
+      return true;
+    }
+
+    function active(now = new Date()) {
+      return PROMOTIONS.filter((rule) => isActive(rule, now));
+    }
+
+    function matches(unit, cond) {
+      return !cond || !cond.category || unit.category === cond.category;
+    }
+
+    // One entry per drink so quantity conditions can be counted directly
+    function expand(lines) {
+      const units = [];
+      lines.forEach((line, idx) => {
+        const product = Catalog.resolve(line);
+        const category = line.category || (product && product.category) || "";
+        const price =
+          Number(line.basePrice != null ? line.basePrice : line.price) || 0;
+        const qty = Math.max(0, Math.floor(Number(line.qty) || 0));
+        for (let i = 0; i < qty; i++)
+          units.push({ line: idx, category, price });
+      });
+      return units;
+    }
+
+    function applyBuyXGetY(rule, units) {
+      const buyQty = Number(rule.buy.qty) || 0;
+      const getQty = Number(rule.get.qty) || 0;
+      let remaining = units.slice();
+      const free = [];
+      if (!buyQty || !getQty) return { free, remaining };
+
+      for (;;) {
+        const rewards = remaining
+          .filter((u) => matches(u, rule.get))
+          .sort((a, b) => a.price - b.price)
+          .slice(0, getQty);
+        if (rewards.length < getQty) break;
+        const payers = remaining
+          .filter((u) => !rewards.includes(u) && matches(u, rule.buy))
+          .sort((a, b) => b.price - a.price)
+          .slice(0, buyQty);
+        if (payers.length < buyQty) break;
+        remaining = remaining.filter(
+          (u) => !rewards.includes(u) && !payers.includes(u)
+        );
+        free.push(...rewards);
+      }
+      return { free, remaining };
+    }
+
+    // Discounts for a cart. Drinks used by one promo cannot count
+    // towards another, so promos never stack on the same bottle.
+    // `lineDiscounts[i]` is how much of line i the promos made free.
+    function evaluate(lines, now = new Date()) {
+      const list = Array.isArray(lines) ? lines : [];
+      let units = expand(list);
+      const applied = [];
+      const lineDiscounts = list.map(() => 0);
+
+      active(now).forEach((rule) => {
+        if (rule.type !== "buy_x_get_y") return;
+        const { free, remaining } = applyBuyXGetY(rule, units);
+        if (!free.length) return;
+        units = remaining;
+        free.forEach((u) => {
+          lineDiscounts[u.line] = round2(lineDiscounts[u.line] + u.price);
+        });
+        applied.push({
+          id: rule.id,
+          title: rule.title,
+          freeQty: free.length,
+          discount: round2(free.reduce((sum, u) => sum + u.price, 0)),
+        });
+      });
+
+      return {
+        applied,
+        discount: round2(applied.reduce((sum, p) => sum + p.discount, 0)),
+        lineDiscounts,
+      };
+    }
+
+    return { active, evaluate };
+  })();
+
+  window.Promotions = Promotions;
+
+  // ============================================
+  // VOUCHERS (PROMO CODES)
+  // ============================================
+  // Codes for influencer and pop-up store campaigns. Redemptions are counted
+  // per code in localStorage so total and per-user limits survive reloads.
+  const VOUCHER_USAGE_KEY = "cincoVoucherUsage";
+  const VOUCHERS = [
+    {
+      code: "CINCO10",
+      description: "10% off your order",
+      type: "percent",
+      value: 10,
+      minSpend: 200,
+      expiresAt: "2026-12-31",
+      maxUses: 500,
+      maxUsesPerUser: 1,
+    },
+    {
+      code: "KATIPUNAN30",
+      description: "₱30 off — Pop Up Katipunan",
+      type: "fixed",
+      value: 30,
+      minSpend: 150,
+      expiresAt: "2026-06-17",
+      maxUses: 200,
+      maxUsesPerUser: 1,
+    },
+    {
+      code: "NONCOFFEE15",
+      description: "15% off non-coffee drinks",
+      type: "percent",
+      value: 15,
+      minSpend: 0,
+      expiresAt: "2026-12-31",
+      maxUsesPerUser: 3,
+      categories: ["non-coffee"],
+    },
+  ];
+
+  const VoucherStore = (function () {
+    const round2 = (n) => Math.round(n * 100) / 100;
+
+    function normalizeCode(code) {
+      return String(code || "")
+        .trim()
+        .toUpperCase();
+    }
+
+    function find(code) {
+      const wanted = normalizeCode(code);
+      return VOUCHERS.find((v) => v.code === wanted) || null;
+    }
+
+    function readUsage() {
+      try {
+        return JSON.parse(localStorage.getItem(VOUCHER_USAGE_KEY) || "{}");
+      } catch (e) {
+        return {};
+      }
+    }
+
+    function writeUsage(usage) {
+      try {
+        localStorage.setItem(VOUCHER_USAGE_KEY, JSON.stringify(usage));
+      } catch (e) {}
+    }
+
+    function usageFor(code) {
+      const entry = readUsage()[code] || {};
+      return { total: entry.total || 0, users: entry.users || {} };
+    }
+
+    function formatDate(key) {
+      const [y, m, d] = key.split("-").map(Number);
+      return new Date(y, m - 1, d).toLocaleDateString("en-PH", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      });
+    }
+
+    function categoryNames(ids) {
+      return ids
+        .map((id) => {
+          const cat = Catalog.getCategories().find((c) => c.id === id);
+          return cat ? cat.name : id;
+        })
+        .join(", ");
+    }
+
+    // Check a code against the cart. Returns { ok, voucher, discount } or
+    // { ok: false, msg } with a reason suitable for showFormMessage.
+    function validate(rawCode, { userId, lines = [], now = new Date() } = {}) {
+      const code = normalizeCode(rawCode);
+      if (!code) return { ok: false, msg: "Please enter a promo code" };
+      if (!/^[A-Z0-9]{3,20}$/.test(code))
+        return { ok: false, msg: "Invalid promo code format" };
+
+      const voucher = find(code);
+      if (!voucher) return { ok: false, msg: `Promo code ${code} not found` };
+      if (!userId)
+        return { ok: false, msg: "Please log in to use promo codes" };
+
+      if (voucher.expiresAt) {
+        if (dateKey(now) > voucher.expiresAt)
+          return {
+            ok: false,
+            msg: `${code} expired on ${formatDate(voucher.expiresAt)}`,
+          };
+      }
+
+      const usage = usageFor(code);
+      if (voucher.maxUses && usage.total >= voucher.maxUses)
+        return { ok: false, msg: `${code} has reached its usage limit` };
+      if (
+        voucher.maxUsesPerUser &&
+        (usage.users[userId] || 0) >= voucher.maxUsesPerUser
+      )
+        return {
+          ok: false,
+          msg:
+            voucher.maxUsesPerUser === 1
+              ? `You have already used ${code}`
+              : `You have used ${code} the maximum ${voucher.maxUsesPerUser} times`,
+        };
+
+      // Both the minimum spend and the discount count what is left of each
+      // line after promotions, so a drink a promo made free is not
+      // discounted twice
+      const promo = Promotions.evaluate(lines, now);
+      const amounts = lines.map((l, i) =>
+        Math.max(
+          0,
+          Number(l.price || 0) * Number(l.qty || 1) - promo.lineDiscounts[i]
+        )
+      );
+      const subtotal = amounts.reduce((sum, a) => sum + a, 0);
+      if (voucher.minSpend && subtotal < voucher.minSpend)
+        return {
+          ok: false,
+          msg: `Spend at least ₱${voucher.minSpend.toFixed(2)} to use ${code}`,
+        };
+
+      const eligible = Array.isArray(voucher.categories)
+        ? lines.filter((l) => {
+            const product = Catalog.resolve(l);
+            const category = l.category || (product && product.category);
+            return voucher.categories.includes(category);
+          })
+        : lines;
+      if (!eligible.length)
+        return {
+          ok: false,
+          msg: `${code} only applies to ${categoryNames(voucher.categories)}`,
+        };
+
+      const base = eligible.reduce(
+        (sum, l) => sum + amounts[lines.indexOf(l)],
+        0
+      );
+      const discount =
+        voucher.type === "percent"
+          ? round2((base * Number(voucher.value)) / 100)
+          : round2(Math.min(Number(voucher.value), base));
+
+      // `lineDiscounts[i]` is line i's share of the discount; only eligible
+      // lines get one
+      const lineDiscounts = Tax.allocate(
+        amounts.map((a, i) => (eligible.includes(lines[i]) ? a : 0)),
+        discount
+      );
+
+      return { ok: true, voucher, discount, lineDiscounts };
+    }
+
+    // Count a redemption once the order has been placed
+    function redeem(code, userId, details = {}) {
+      const key = normalizeCode(code);
+      const usage = readUsage();
+      const entry = usage[key] || { total: 0, users: {}, redemptions: [] };
+      entry.total = (entry.total || 0) + 1;
+      entry.users = entry.users || {};
+      entry.users[userId] = (entry.users[userId] || 0) + 1;
+      entry.redemptions = entry.redemptions || [];
+      entry.redemptions.push(
+        Object.assign({ userId, ts: Date.now() }, details)
+      );
+      usage[key] = entry;
+      writeUsage(usage);
+      return entry;
+    }
+
+    return { find, validate, redeem, normalizeCode };
+  })();
+
+  window.VoucherStore = VoucherStore;
+
+  // ============================================
+  // POP-UP PICKUP LOCATIONS
+  // ============================================
+  // Pop-up stores an order can be collected from, with the days each one
+  // is open. Loaded from data/locations.json, like the catalog.
+  const LOCATIONS_URL = "data/locations.json";
+
+  const PickupLocations = (function () {
+    let popups = null;
+    let pending = null;
+
+    function load() {
+      if (popups) return Promise.resolve(popups);
+      if (pending) return pending;
+      pending = fetch(LOCATIONS_URL, { cache: "no-cache" })
+        .then((res) => {
+          if (!res.ok)
+            throw new Error(`Locations request failed (${res.status})`);
+          return res.json();
+        })
+        .then((json) => {
+          popups = Array.isArray(json.popups) ? json.popups : [];
+          return popups;
+        })
+        .catch((err) => {
+          pending = null;
+          console.error("PickupLocations load error:", err);
+          throw err;
+        });
+      return pending;
+    }
+
+    function get(locationId) {
+      return (
+        (popups || []).find((p) => p.id === String(locationId || "")) || null
+      );
+    }
+
+    // Open days of a pop-up from today on, as yyyy-mm-dd
+    function pickupDates(popup, now = new Date(OrderTracker.now())) {
+      if (!popup) return [];
+      const today = dateKey(now);
+      const days = [];
+      const day = new Date(`${popup.startDate}T00:00:00`);
+      const end = new Date(`${popup.endDate}T00:00:00`);
+      while (day <= end) {
+        const key = dateKey(day);
+        if (key >= today) days.push(key);
+        day.setDate(day.getDate() + 1);
+      }
+      return days;
+    }
+
+    // Pop-ups with at least one pickup day left
+    function active(now) {
+      return (popups || []).filter((p) => pickupDates(p, now).length > 0);
+    }
+
+    // { ok, pickup } or { ok: false, field, msg }
+    function validate(locationId, date, now) {
+      const popup = get(locationId);
+      if (!popup || !pickupDates(popup, now).length)
+        return {
+          ok: false,
+          field: "pickupLocation",
+          msg: "Choose a pop-up store for pickup",
+        };
+      if (!pickupDates(popup, now).includes(date))
+        return {
+          ok: false,
+          field: "pickupDate",
+          msg: "Choose an available pickup date",
+        };
+      return {
+        ok: true,
+        pickup: {
+          locationId: popup.id,
+          name: popup.name,
+          address: popup.address,
+          date,
+        },
+      };
+    }
+
+    function formatDate(date) {
+      const d = new Date(`${date}T00:00:00`);
+      if (isNaN(d.getTime())) return String(date || "");
+      return d.toLocaleDateString("en-PH", {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      });
+    }
+
+    return { load, get, pickupDates, active, validate, formatDate };
+  })();
+
+  window.PickupLocations = PickupLocations;
+
+  // ============================================
+  // ORDER SCHEDULING
+  // ============================================
+  // Opening hours by weekday (0 = Sunday), as listed on contact.html.
+  // Orders are made in time slots; a slot has to start at least
+  // PREP_LEAD_MINUTES from now and takes up to SLOT_CAPACITY orders.
+  const BUSINESS_HOURS = {
+    0: { open: "10:00", close: "20:00" },
+    1: { open: "08:00", close: "18:00" },
+    2: { open: "08:00", close: "18:00" },
+    3: { open: "08:00", close: "18:00" },
+    4: { open: "08:00", close: "18:00" },
+    5: { open: "08:00", close: "18:00" },
+    6: { open: "10:00", close: "20:00" },
+  };
+  const SLOT_MINUTES = 30;
+  const PREP_LEAD_MINUTES = 20;
+  const SLOT_CAPACITY = 5; // orders per slot
+  const SCHEDULE_DAYS_AHEAD = 7; // today included
+
+  const OrderSchedule = (function () {
+    function minutesOf(hhmm) {
+      const [h, m] = String(hhmm).split(":").map(Number);
+      return h * 60 + m;
+    }
+
+    function currentTime() {
+      return new Date(OrderTracker.now());
+    }
+
+    function isOpen(now = currentTime()) {
+      const hours = BUSINESS_HOURS[now.getDay()];
+      if (!hours) return false;
+      const m = now.getHours() * 60 + now.getMinutes();
+      return m >= minutesOf(hours.open) && m < minutesOf(hours.close);
+    }
+
+    // Slot start (ISO) -> orders booked into it; cancelled orders free
+    // their slot
+    function bookings() {
+      const counts = {};
+      OrderHistory.all().forEach((o) => {
+        if (!o.schedule || OrderTracker.statusOf(o) === "cancelled") return;
+        counts[o.schedule.start] = (counts[o.schedule.start] || 0) + 1;
+      });
+      return counts;
+    }
+
+    // Every slot on a day (yyyy-mm-dd); `available` when it starts late
+    // enough to be prepared and still has room
+    function slotsOn(day, now = currentTime(), booked = bookings()) {
+      const date = new Date(`${day}T00:00:00`);
+      const hours = isNaN(date.getTime())
+        ? null
+        : BUSINESS_HOURS[date.getDay()];
+      if (!hours) return [];
+      const earliest = now.getTime() + PREP_LEAD_MINUTES * 60000;
+      const slots = [];
+      for (
+        let m = minutesOf(hours.open);
+        m + SLOT_MINUTES <= minutesOf(hours.close);
+        m += SLOT_MINUTES
+      ) {
+        const start = new Date(date);
+        start.setHours(0, m, 0, 0);
+        const end = new Date(start.getTime() + SLOT_MINUTES * 60000);
+        const remaining = Math.max(
+          0,
+          SLOT_CAPACITY - (booked[start.toISOString()] || 0)
+        );
+        slots.push({
+          start: start.toISOString(),
+          end: end.toISOString(),
+          remaining,
+          passed: start.getTime() < earliest,
+          available: start.getTime() >= earliest && remaining > 0,
+        });
+      }
+      return slots;
+    }
+
+    // Days from today on that still have a free slot
+    function days(now = currentTime()) {
+      const booked = bookings();
+      const result = [];
+      for (let i = 0; i < SCHEDULE_DAYS_AHEAD; i++) {
+        const d = new Date(now);
+        d.setHours(0, 0, 0, 0);
+        d.setDate(d.getDate() + i);
+        const key = dateKey(d);
+        if (slotsOn(key, now, booked).some((s) => s.available))
+          result.push(key);
+      }
+      return result;
+    }
+
+    // Earliest free slot, on a given day or on any day ahead
+    function nextSlot(now = currentTime(), day = "") {
+      const booked = bookings();
+      const candidates = day ? [day] : days(now);
+      for (const d of candidates) {
+        const slot = slotsOn(d, now, booked).find((s) => s.available);
+        if (slot) return slot;
+      }
+      return null;
+    }
+
+    // { ok, slot } for a chosen slot start, or { ok: false, msg }
+    function validate(start, now = currentTime()) {
+      const d = new Date(start || "");
+      if (isNaN(d.getTime())) return { ok: false, msg: "Choose a time slot" };
+      const slot = slotsOn(dateKey(d), now).find(
+        (s) => s.start === d.toISOString()
+      );
+      if (!slot)
+        return { ok: false, msg: "That time is outside our business hours" };
+      if (slot.passed)
+        return { ok: false, msg: "That time slot is no longer available" };
+      if (!slot.available)
+        return { ok: false, msg: "That time slot is fully booked" };
+      return { ok: true, slot };
+    }
+
+    function formatDay(day) {
+      const d = new Date(`${day}T00:00:00`);
+      if (isNaN(d.getTime())) return String(day || "");
+      if (day === dateKey(currentTime())) return "Today";
+      return d.toLocaleDateString("en-PH", {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+      });
+    }
+
+    function formatTime(iso) {
+      return new Date(iso).toLocaleTimeString("en-PH", {
+        hour: "numeric",
+        minute: "2-digit",
+      });
+    }
+
+    // "Today, 10:00 AM – 10:30 AM"
+    function formatSlot(slot) {
+      if (!slot) return "";
+      return `${formatDay(dateKey(new Date(slot.start)))}, ${formatTime(
+        slot.start
+      )} – ${formatTime(slot.end)}`;
+    }
+
+    return {
+      isOpen,
+      slotsOn,
+      days,
+      nextSlot,
+      validate,
+      formatDay,
+      formatTime,
+      formatSlot,
+    };
+  })();
+
+  window.OrderSchedule = OrderSchedule;
+
+  // "asap" or "later", as chosen in #checkoutForm
+  function readTiming(form) {
+    const checked = form && form.querySelector('input[name="timing"]:checked');
+    return checked && checked.value === "later" ? "later" : "asap";
+  }
+
+  // The slot an order goes into. ASAP takes the next free slot, which is
+  // the next opening when we're closed; pickup orders must land on the
+  // chosen pop-up day. { ok, schedule } or { ok: false, field, msg }
+  function resolveOrderSchedule(form) {
+    const field = (id) => {
+      const el = form && form.querySelector(`#${id}`);
+      return el ? el.value : "";
+    };
+    const timing = readTiming(form);
+    const pickupDay =
+      readFulfilment(form) === "pickup" ? field("pickupDate") : "";
+
+    let slot = null;
+    if (timing === "later") {
+      const res = OrderSchedule.validate(field("scheduleSlot"));
+      if (!res.ok) return { ok: false, field: "scheduleSlot", msg: res.msg };
+      slot = res.slot;
+    } else {
+      slot = OrderSchedule.nextSlot(undefined, pickupDay);
+      if (!slot)
+        return {
+          ok: false,
+          field: "",
+          msg: pickupDay
+            ? "No pickup times are left on that day"
+            : "No time slots are available right now",
+        };
+    }
+
+    if (pickupDay && dateKey(new Date(slot.start)) !== pickupDay)
+      return {
+        ok: false,
+        field: "scheduleSlot",
+        msg: "Choose a time on your pickup date",
+      };
+
+    return {
+      ok: true,
+      schedule: {
+        timing,
+        start: slot.start,
+        end: slot.end,
+        // ASAP order placed while closed (or for a later pickup day),
+        // moved to the next opening
+        autoScheduled:
+          timing === "asap" &&
+          (!OrderSchedule.isOpen() ||
+            dateKey(new Date(slot.start)) !==
+              dateKey(new Date(OrderTracker.now()))),
+      },
+    };
+  }
+
+  // Summary line for the chosen slot, e.g. on the order success modal
+  function describeSchedule(schedule) {
+    if (!schedule) return "";
+    const slot = OrderSchedule.formatSlot(schedule);
+    if (schedule.timing === "later") return `Scheduled for ${slot}`;
+    if (schedule.autoScheduled)
+      return `Scheduled for the next available time: ${slot}`;
+    return `ASAP — ready around ${OrderSchedule.formatTime(schedule.start)}`;
+  }
+
+  // ============================================
+  // TAX (VAT)
+  // ============================================
+  // 12% Philippine VAT. Menu prices include it ("inclusive"); in
+  // "exclusive" mode it is added on top of the total. Set
+  // window.__CINCO_TAX before this script to change the rate, the mode or
+  // which categories / products are VAT-exempt.
+  const TAX_SETTINGS = Object.assign(
+    {
+      rate: 0.12,
+      mode: "inclusive", // or "exclusive"
+      exemptCategories: [],
+      exemptProducts: [],
+    },
+    window.__CINCO_TAX || {}
+  );
+
+  const Tax = (function () {
+    const round2 = (n) => Math.round(n * 100) / 100;
+    const inclusive = () => TAX_SETTINGS.mode !== "exclusive";
+
+    function isExempt(line) {
+      return (
+        TAX_SETTINGS.exemptCategories.includes(line.category) ||
+        TAX_SETTINGS.exemptProducts.includes(line.productId)
+      );
+    }
+
+    // Spread `discount` over `amounts` in proportion; centavos lost to
+    // rounding go to the last amount so the shares add up exactly
+    function allocate(amounts, discount) {
+      const gross = amounts.reduce((s, a) => s + a, 0);
+      if (!gross || !discount) return amounts.map(() => 0);
+      let left = round2(Math.min(discount, gross));
+      return amounts.map((a, i) => {
+        const share =
+          i === amounts.length - 1
+            ? left
+            : round2((Math.min(discount, gross) * a) / gross);
+        left = round2(left - share);
+        return share;
+      });
+    }
+
+    // VAT in (inclusive) or on (exclusive) one amount, rounded per line
+    function vatOf(amount) {
+      const rate = Number(TAX_SETTINGS.rate) || 0;
+      return round2(inclusive() ? (amount * rate) / (1 + rate) : amount * rate);
+    }
+
+    // Per-line VAT after each line's own discount (`lineDiscounts[i]`),
+    // plus the delivery fee as its own line. Order figures are sums of the
+    // rounded line figures, so the breakdown always adds up to the total.
+    function compute(lines, lineDiscounts = [], deliveryFee = 0) {
+      const list = Array.isArray(lines) ? lines : [];
+      const rows = list.map((l, i) => {
+        const gross = round2(Number(l.price || 0) * Number(l.qty || 1));
+        const amount = round2(
+          Math.max(0, gross - Number(lineDiscounts[i] || 0))
+        );
+        const exempt = isExempt(l);
+        return {
+          id: l.id,
+          name: l.name,
+          amount,
+          exempt,
+          vat: exempt ? 0 : vatOf(amount),
+        };
+      });
+      if (deliveryFee > 0) {
+        rows.push({
+          id: "delivery-fee",
+          name: "Delivery fee",
+          amount: round2(deliveryFee),
+          exempt: false,
+          vat: vatOf(deliveryFee),
+        });
+      }
+
+      const sum = (pick) => round2(rows.reduce((s, r) => s + pick(r), 0));
+      const vat = sum((r) => r.vat);
+      const taxable = sum((r) => (r.exempt ? 0 : r.amount));
+      return {
+        rate: Number(TAX_SETTINGS.rate) || 0,
+        mode: inclusive() ? "inclusive" : "exclusive",
+        vatableSales: inclusive() ? round2(taxable - vat) : taxable,
+        vat,
+        exemptSales: sum((r) => (r.exempt ? r.amount : 0)),
+        lines: rows,
+      };
+    }
+
+    // "12%"
+    function rateLabel(tax) {
+      return `${round2((tax ? tax.rate : TAX_SETTINGS.rate) * 100)}%`;
+    }
+
+    return { compute, allocate, isExempt, rateLabel };
+  })();
+
+  window.Tax = Tax;
+
+  // VATable sales / VAT / VAT-exempt rows for the checkout summary, the
+  // success modal and receipts
+  function renderVatBreakdown(container, tax) {
+    if (!container) return;
+    if (!tax) {
+      container.innerHTML = "";
+      container.style.display = "none";
+      return;
+    }
+    const row = (label, amount, cls) => `
+          <div class="vat-row ${cls}">
+            <span>${label}</span>
+            <span>₱${Number(amount).toFixed(2)}</span>
+          </div>`;
+    container.innerHTML =
+      `<p class="vat-note">${
+        tax.mode === "inclusive"
+          ? `Prices include ${Tax.rateLabel(tax)} VAT`
+          : `${Tax.rateLabel(tax)} VAT is added to the total`
+      }</p>` +
+      row("VATable Sales", tax.vatableSales, "vat-vatable") +
+      row(`VAT (${Tax.rateLabel(tax)})`, tax.vat, "vat-amount") +
+      row("VAT-Exempt Sales", tax.exemptSales, "vat-exempt");
+    container.style.display = "";
+  }
+
+  // ============================================
+  // ORDER TOTALS
+  // ============================================
+  let appliedVoucherCode = null; // promo code applied on checkout.html
+
+  // Delivery zones, matched by ZIP range first, then by city name.
+  // Anything outside these zones is not delivered to.
+  const DELIVERY_ZONES = [
+    {
+      id: "quezon-city",
+      name: "Quezon City",
+      fee: 50,
+      cities: ["quezon city", "qc"],
+      zips: [["1100", "1138"]],
+    },
+    {
+      id: "manila",
+      name: "Manila",
+      fee: 80,
+      cities: ["manila", "city of manila"],
+      zips: [["1000", "1018"]],
+    },
+    {
+      id: "metro-east",
+      name: "San Juan, Mandaluyong, Marikina & Pasig",
+      fee: 100,
+      cities: ["san juan", "mandaluyong", "marikina", "pasig"],
+      zips: [
+        ["1500", "1504"],
+        ["1550", "1556"],
+        ["1600", "1612"],
+        ["1800", "1811"],
+      ],
+    },
+  ];
+  const FREE_DELIVERY_THRESHOLD = 500; // after discounts
+
+  function normalizeCity(city) {
+    return sanitizeInput(city).toLowerCase().replace(/[.,]/g, "");
+  }
+
+  // { status: "pending" | "ok" | "unserviceable", zone }
+  function resolveDeliveryZone({ city = "", zip = "" } = {}) {
+    const zipValue = sanitizeInput(zip);
+    if (/^\d{4}$/.test(zipValue)) {
+      const zone = DELIVERY_ZONES.find((z) =>
+        z.zips.some(([from, to]) => zipValue >= from && zipValue <= to)
+      );
+      return zone
+        ? { status: "ok", zone }
+        : { status: "unserviceable", zone: null };
+    }
+
+    const cityValue = normalizeCity(city);
+    if (cityValue.length < 2) return { status: "pending", zone: null };
+    const zone = DELIVERY_ZONES.find((z) =>
+      z.cities.some(
+        (c) =>
+          cityValue === c ||
+          cityValue === `${c} city` ||
+          cityValue === `city of ${c}`
+      )
+    );
+    return zone
+      ? { status: "ok", zone }
+      : { status: "unserviceable", zone: null };
+  }
+
+  // Delivery fee for an address and the amount due after discounts;
+  // pickup orders carry no fee
+  function quoteDelivery(area, amount, hasItems = true) {
+    if (!hasItems) return { status: "empty", zone: null, fee: 0, free: false };
+    if (area && area.fulfilment === "pickup")
+      return { status: "pickup", zone: null, fee: 0, free: false };
+    const { status, zone } = resolveDeliveryZone(area);
+    if (status !== "ok") return { status, zone: null, fee: 0, free: false };
+    const free = amount >= FREE_DELIVERY_THRESHOLD;
+    return {
+      status,
+      zone,
+      fee: free ? 0 : zone.fee,
+      free,
+      remaining: free ? 0 : FREE_DELIVERY_THRESHOLD - amount,
+    };
+  }
+
+  // Subtotal, promotions, promo code, delivery and VAT for a list of cart
+  // lines
+  function computeOrderTotals(lines, { userId, voucherCode, now, area } = {}) {
+    const round2 = (n) => Math.round(n * 100) / 100;
+    const list = Array.isArray(lines) ? lines : [];
+    const subtotal = round2(
+      list.reduce(
+        (sum, l) => sum + Number(l.price || 0) * Number(l.qty || 1),
+        0
+      )
+    );
+    const promo = Promotions.evaluate(list, now || new Date());
+
+    let voucher = null;
+    let voucherError = "";
+    if (voucherCode) {
+      const res = VoucherStore.validate(voucherCode, {
+        userId,
+        lines: list,
+        now: now || new Date(),
+      });
+      if (res.ok) {
+        voucher = {
+          code: res.voucher.code,
+          description: res.voucher.description,
+          discount: res.discount,
+          lineDiscounts: res.lineDiscounts,
+        };
+      } else {
+        voucherError = res.msg;
+      }
+    }
+
+    const discount = round2(promo.discount + (voucher ? voucher.discount : 0));
+    const due = round2(Math.max(0, subtotal - discount));
+    const delivery = quoteDelivery(area, due, list.length > 0);
+    // Promotions and the promo code each reduce only the lines they apply
+    // to, so an exempt line carries its own share and nobody else's
+    const lineDiscounts = promo.lineDiscounts.map((d, i) =>
+      round2(d + (voucher ? voucher.lineDiscounts[i] : 0))
+    );
+    const tax = Tax.compute(list, lineDiscounts, delivery.fee);
+    return {
+      subtotal,
+      promotions: promo.applied,
+      voucher,
+      voucherError,
+      discount,
+      delivery,
+      deliveryFee: delivery.fee,
+      tax,
+      total: round2(
+        due + delivery.fee + (tax.mode === "exclusive" ? tax.vat : 0)
+      ),
+    };
+  }
+
+  // Promotions plus the applied promo code, as rows for renderPromoLines
+  function discountRows(totals) {
+    const rows = totals.promotions.slice();
+    if (totals.voucher) {
+      rows.push({
+        id: "voucher-" + totals.voucher.code,
+        title: `Promo code ${totals.voucher.code}`,
+        discount: totals.voucher.discount,
+      });
+    }
+    return rows;
+  }
+
+  // "delivery" or "pickup", as chosen in #checkoutForm
+  function readFulfilment(form) {
+    const checked =
+      form && form.querySelector('input[name="fulfilment"]:checked');
+    return checked && checked.value === "pickup" ? "pickup" : "delivery";
+  }
+
+  // Fulfilment, city and ZIP as typed into #checkoutForm
+  function readDeliveryArea(form) {
+    const field = (id) => {
+      const el = form && form.querySelector(`#${id}`);
+      return el ? el.value : "";
+    };
+    return {
+      fulfilment: readFulfilment(form),
+      city: field("city"),
+      zip: field("zip"),
+    };
+  }
+
+  // Re-check the applied promo code and the delivery zone right before an
+  // order is placed. Returns null (and tells the user why) when the order
+  // must not go through.
+  function prepareOrderTotals(userId, userCart, area) {
+    const totals = computeOrderTotals(userCart, {
+      userId,
+      voucherCode: appliedVoucherCode,
+      area,
+    });
+    if (totals.delivery.status === "unserviceable") {
+      showFormMessage(
+        "checkoutForm",
+        "❌ Sorry, we don't deliver to this address yet.",
+        "error"
+      );
+      return null;
+    }
+    if (
+      totals.delivery.status !== "ok" &&
+      totals.delivery.status !== "pickup"
+    ) {
+      showFormMessage(
+        "checkoutForm",
+        "❌ Enter your city and ZIP code to see the delivery fee.",
+        "error"
+      );
+      return null;
+    }
+    if (appliedVoucherCode && !totals.voucher) {
+      appliedVoucherCode = null;
+      showFormMessage(
+        "promoCode",
+        `❌ ${totals.voucherError || "Promo code is no longer valid"}`,
+        "error"
+      );
+      return null;
+    }
+    return totals;
+  }
+
+  function recordVoucherRedemption(totals, userId, orderNumber) {
+    if (!totals || !totals.voucher) return;
+    VoucherStore.redeem(totals.voucher.code, userId, {
+      orderNumber,
+      discount: totals.voucher.discount,
+      total: totals.total,
+    });
+    appliedVoucherCode = null;
+  }
+
+  // ============================================
+  // PAYMENTS
+  // ============================================
+  // Every payment method is handled by a provider with three steps, each
+  // returning a Promise:
+  //   authorize(request) -> { ok, id, status: "authorized", request, details }
+  //                         or { ok: false, status: "declined", reason }
+  //   capture(auth)      -> { ok, id, status: "captured", details }
+  //   fail(auth, reason) -> { ok: false, id, status: "failed", reason }
+  //                         also voids the payment if it was captured
+  // `details` is what gets saved with the order, so it must never hold a
+  // full card number, expiry or CVV. `request.idempotencyKey` identifies one
+  // checkout attempt: a provider must not charge the same key twice. Only
+  // the in-browser mock exists for now; a real gateway plugs in with
+  // PaymentProviders.register(method, provider).
+  const PAYMENT_LABELS = {
+    cash: "Cash on Delivery",
+    gcash: "GCash",
+    card: "Credit/Debit Card",
+  };
+  const MOCK_PAYMENT_DELAY_MS = 600;
+
+  // Sandbox cards the mock provider declines
+  const MOCK_DECLINED_CARDS = {
+    4000000000000002: "Your card was declined.",
+    4000000000009995: "Your card has insufficient funds.",
+  };
+
+  function isGcashReferenceUsed(reference) {
+    return OrderHistory.all().some(
+      (o) => o.paymentDetails && o.paymentDetails.reference === reference
+    );
+  }
+
+  function createMockPaymentProvider({ delayMs = MOCK_PAYMENT_DELAY_MS } = {}) {
+    let seq = 0;
+    const attempts = {}; // idempotencyKey -> { auth, captured }
+    const later = (result) =>
+      new Promise((resolve) => setTimeout(() => resolve(result), delayMs));
+
+    function authorize(request) {
+      const seen = request.idempotencyKey && attempts[request.idempotencyKey];
+      if (seen) return later(seen.auth);
+      return decide(request).then((auth) => {
+        if (auth.ok && request.idempotencyKey)
+          attempts[request.idempotencyKey] = { auth, captured: null };
+        return auth;
+      });
+    }
+
+    function decide(request) {
+      const id = `mock_${Date.now().toString(36)}_${++seq}`;
+      const source = request.source || {};
+
+      if (request.method === "card") {
+        const declined = MOCK_DECLINED_CARDS[source.number];
+        if (declined)
+          return later({ ok: false, id, status: "declined", reason: declined });
+        return later({
+          ok: true,
+          id,
+          status: "authorized",
+          request,
+          details: {
+            method: "card",
+            brand: cardBrand(source.number),
+            last4: String(source.number).slice(-4),
+          },
+        });
+      }
+
+      if (request.method === "gcash") {
+        if (isGcashReferenceUsed(source.reference))
+          return later({
+            ok: false,
+            id,
+            status: "declined",
+            reason:
+              "This GCash reference number was already used for another order.",
+          });
+        return later({
+          ok: true,
+          id,
+          status: "authorized",
+          request,
+          details: { method: "gcash", reference: source.reference },
+        });
+      }
+
+      // Cash is collected when the order is handed over
+      return later({
+        ok: true,
+        id,
+        status: "authorized",
+        request,
+        details: { method: "cash" },
+      });
+    }
+
+    function capture(auth) {
+      const seen = attempts[auth.request.idempotencyKey];
+      if (seen && seen.captured) return later(seen.captured);
+      const paidNow = auth.request.method !== "cash";
+      const captured = {
+        ok: true,
+        id: auth.id,
+        status: paidNow ? "captured" : "authorized",
+        details: Object.assign({}, auth.details, {
+          status: paidNow ? "paid" : "due",
+          transactionId: auth.id,
+          amount: auth.request.amount,
+        }),
+      };
+      if (seen) seen.captured = captured;
+      return later(captured);
+    }
+
+    function fail(auth, reason) {
+      if (auth && auth.request && auth.request.idempotencyKey)
+        delete attempts[auth.request.idempotencyKey];
+      return later({
+        ok: false,
+        id: auth ? auth.id : null,
+        status: "failed",
+        reason: reason || "Payment failed",
+      });
+    }
+
+    return { authorize, capture, fail };
+  }
+
+  const PaymentProviders = (function () {
+    const providers = {};
+
+    function register(method, provider) {
+      if (
+        !provider ||
+        !["authorize", "capture", "fail"].every(
+          (fn) => typeof provider[fn] === "function"
+        )
+      ) {
+        throw new Error(`Payment provider for "${method}" is incomplete`);
+      }
+      providers[method] = provider;
+    }
+
+    function get(method) {
+      return providers[method] || null;
+    }
+
+    const mock = createMockPaymentProvider();
+    Object.keys(PAYMENT_LABELS).forEach((method) => register(method, mock));
+
+    return { register, get };
+  })();
+
+  window.PaymentProviders = PaymentProviders;
+
+  // "cash", "gcash" or "card", as chosen in #checkoutForm
+  function readPaymentMethod(form) {
+    const checked = form && form.querySelector('input[name="payment"]:checked');
+    return checked && PAYMENT_LABELS[checked.value] ? checked.value : "cash";
+  }
+
+  // What the provider needs for the chosen method; card data only lives
+  // in this request and is never stored
+  function readPaymentSource(method, form) {
+    const field = (id) => {
+      const el = form && form.querySelector(`#${id}`);
+      return el ? el.value : "";
+    };
+    if (method === "card") {
+      return {
+        name: sanitizeInput(field("cardName")),
+        number: field("cardNumber").replace(/[\s-]/g, ""),
+        expiry: field("cardExpiry").replace(/\s/g, ""),
+        cvv: field("cardCvv").trim(),
+      };
+    }
+    if (method === "gcash") {
+      return { reference: field("gcashReference").replace(/\s/g, "") };
+    }
+    return {};
+  }
+
+  // Authorize then capture `amount` with the method's provider. Resolves
+  // { ok, payment, auth } (payment: the details to store; auth: what
+  // voidPayment needs) or { ok: false, reason }.
+  function collectPayment(method, form, amount, idempotencyKey) {
+    const provider = PaymentProviders.get(method);
+    if (!provider)
+      return Promise.resolve({
+        ok: false,
+        reason: "This payment method is not available",
+      });
+
+    const request = {
+      method,
+      amount,
+      currency: "PHP",
+      idempotencyKey: idempotencyKey || null,
+      source: readPaymentSource(method, form),
+    };
+    return provider
+      .authorize(request)
+      .then((auth) => {
+        if (!auth.ok) return auth;
+        return provider
+          .capture(auth)
+          .then((res) =>
+            res.ok
+              ? Object.assign({}, res, { auth })
+              : provider.fail(auth, res.reason)
+          );
+      })
+      .then((res) =>
+        res.ok
+          ? { ok: true, payment: res.details, auth: res.auth }
+          : { ok: false, reason: res.reason || "Payment failed" }
+      )
+      .catch((err) => {
+        console.error("collectPayment error:", err);
+        return { ok: false, reason: getErrorText(err, "Payment failed") };
+      });
+  }
+
+  // Undo a collected payment whose order could not be kept
+  function voidPayment(method, auth, reason) {
+    const provider = PaymentProviders.get(method);
+    if (!provider || !auth) return Promise.resolve(null);
+    return provider.fail(auth, reason).catch((err) => {
+      console.error("voidPayment error:", err);
+      return null;
+    });
+  }
+
+  // A declined payment keeps the cart; the customer can fix and resubmit
+  function reportPaymentFailure(reason) {
+    onCheckoutError(reason);
+    showFormMessage("checkoutForm", `❌ ${reason}`, "error");
+  }
+
+  // ============================================
+  // ORDER HISTORY
+  // ============================================
+  const ORDERS_KEY = "cincoOrders"; // { userId: [order, ...] }, oldest first
+
+  const OrderHistory = (function () {
+    function readAll() {
+      try {
+        const all = JSON.parse(localStorage.getItem(ORDERS_KEY) || "{}");
+        return all && typeof all === "object" && !Array.isArray(all) ? all : {};
+      } catch (e) {
+        return {};
+      }
+    }
+
+    // false when storage refused the write (e.g. quota exceeded)
+    function writeAll(all) {
+      try {
+        localStorage.setItem(ORDERS_KEY, JSON.stringify(all));
+        return true;
+      } catch (e) {
+        console.error("OrderHistory write error:", e);
+        return false;
+      }
+    }
+
+    // Newest first
+    function list(userId) {
+      if (!userId) return [];
+      const orders = readAll()[userId];
+      return Array.isArray(orders) ? orders.slice().reverse() : [];
+    }
+
+    function get(userId, orderNumber) {
+      return (
+        list(userId).find((o) => o.orderNumber === String(orderNumber)) || null
+      );
+    }
+
+    function save(userId, order) {
+      if (!userId || !order) return null;
+      const all = readAll();
+      const orders = Array.isArray(all[userId]) ? all[userId] : [];
+      orders.push(order);
+      all[userId] = orders;
+      return writeAll(all) ? order : null;
+    }
+
+    // Apply fn(order) to a stored order; fn returns false to skip the write
+    function update(userId, orderNumber, fn) {
+      const all = readAll();
+      const orders = Array.isArray(all[userId]) ? all[userId] : [];
+      const order = orders.find((o) => o.orderNumber === String(orderNumber));
+      if (!order || fn(order) === false) return null;
+      return writeAll(all) ? order : null;
+    }
+
+    // Every user's orders, for slot capacity
+    function all() {
+      return Object.values(readAll()).reduce(
+        (acc, orders) => (Array.isArray(orders) ? acc.concat(orders) : acc),
+        []
+      );
+    }
+
+    // Any user's order by number: { userId, order } or null
+    function find(orderNumber) {
+      const all = readAll();
+      for (const userId of Object.keys(all)) {
+        const orders = Array.isArray(all[userId]) ? all[userId] : [];
+        const order = orders.find((o) => o.orderNumber === String(orderNumber));
+        if (order) return { userId, order };
+      }
+      return null;
+    }
+
+    // The order a checkout attempt already produced, if any
+    function findByKey(userId, idempotencyKey) {
+      if (!idempotencyKey) return null;
+      return (
+        list(userId).find((o) => o.idempotencyKey === idempotencyKey) || null
+      );
+    }
+
+    return { list, get, save, update, all, find, findByKey };
+  })();
+
+  window.OrderHistory = OrderHistory;
+
+  // Delivery details as entered in #checkoutForm
+  function readCheckoutDetails(form) {
+    const fd = new FormData(form);
+    const field = (name) => sanitizeInput(String(fd.get(name) || ""));
+    const firstName = field("firstName");
+    const lastName = field("lastName");
+    return {
+      name: `${firstName} ${lastName}`.trim(),
+      firstName,
+      lastName,
+      phone: field("phone"),
+      address: field("address"),
+      city: field("city"),
+      zip: field("zip"),
+      notes: field("notes"),
+      payment: field("payment") || "cash",
+      fulfilment: readFulfilment(form),
+      pickupLocation: field("pickupLocation"),
+      pickupDate: field("pickupDate"),
+    };
+  }
+
+  // Snapshot of a placed order: lines, totals and delivery or pickup details
+  function buildOrderRecord(orderNumber, lines, totals, details) {
+    const placedAt = new Date(OrderTracker.now()).toISOString();
+    const pickupCheck =
+      details.fulfilment === "pickup"
+        ? PickupLocations.validate(details.pickupLocation, details.pickupDate)
+        : null;
+    const pickup = pickupCheck && pickupCheck.ok ? pickupCheck.pickup : null;
+    return {
+      orderNumber: String(orderNumber),
+      idempotencyKey: details.idempotencyKey || null,
+      placedAt,
+      fulfilment: pickup ? "pickup" : "delivery",
+      pickup,
+      schedule: details.schedule || null,
+      status: "received",
+      statusHistory: [{ status: "received", at: placedAt }],
+      items: lines.map((l) => ({
+        id: l.id,
+        productId: l.productId,
+        name: l.name,
+        category: l.category,
+        size: l.size,
+        basePrice: l.basePrice,
+        price: l.price,
+        qty: l.qty,
+        options: l.options || {},
+        optionLabels: l.optionLabels || [],
+        note: l.note || "",
+        img: l.img,
+      })),
+      subtotal: totals.subtotal,
+      discounts: discountRows(totals),
+      discount: totals.discount,
+      deliveryFee: totals.deliveryFee,
+      deliveryZone: totals.delivery.zone ? totals.delivery.zone.name : null,
+      tax: totals.tax || null,
+      total: totals.total,
+      payment: details.payment,
+      paymentDetails: details.paymentDetails || null,
+      delivery: pickup
+        ? { name: details.name, phone: details.phone, notes: details.notes }
+        : {
+            name: details.name,
+            phone: details.phone,
+            address: details.address,
+            city: details.city,
+            zip: details.zip,
+            notes: details.notes,
+          },
+    };
+  }
+
+  // One-line "how you get it" summary for the order success modal
+  function describeFulfilment(order) {
+    if (!order) return "";
+    if (order.fulfilment === "pickup" && order.pickup) {
+      return `Pickup at ${order.pickup.name} (${
+        order.pickup.address
+      }) on ${PickupLocations.formatDate(order.pickup.date)}`;
+    }
+    const d = order.delivery || {};
+    return `Delivery to ${[d.address, d.city].filter(Boolean).join(", ")}`;
+  }
+
+  // Fill in the success modal: how and when the order is fulfilled, plus
+  // links to its receipt and tracking view
+  function showOrderConfirmation(order) {
+    [
+      ["orderFulfilment", describeFulfilment(order)],
+      ["orderSchedule", order ? describeSchedule(order.schedule) : ""],
+    ].forEach(([id, text]) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.textContent = text;
+      el.hidden = !text;
+    });
+    renderVatBreakdown(
+      document.getElementById("orderVat"),
+      order ? order.tax : null
+    );
+    if (!order) return;
+    const number = encodeURIComponent(order.orderNumber);
+    const receiptLink = document.getElementById("orderReceiptLink");
+    const trackLink = document.getElementById("orderTrackLink");
+    if (receiptLink) receiptLink.href = `receipt.html?order=${number}`;
+    if (trackLink) trackLink.href = `orders.html#${number}`;
+  }
+
+  // `payment` is the captured payment's stored details (collectPayment);
+  // `idempotencyKey` ties the order to the checkout attempt that placed it;
+  // `schedule` is the slot checked before payment, never re-resolved here
+  function saveOrder(
+    userId,
+    orderNumber,
+    lines,
+    totals,
+    form,
+    { payment, idempotencyKey, schedule } = {}
+  ) {
+    try {
+      const details = form
+        ? readCheckoutDetails(form)
+        : { payment: "cash", name: "" };
+      details.paymentDetails = payment || null;
+      details.idempotencyKey = idempotencyKey || null;
+      details.schedule = schedule || null;
+      return OrderHistory.save(
+        userId,
+        buildOrderRecord(orderNumber, lines, totals, details)
+      );
+    } catch (err) {
+      console.error("saveOrder error:", err);
+      return null;
+    }
+  }
+
+  // ============================================
+  // ORDER NUMBERS
+  // ============================================
+  // C5-YYMMDD-SSSS-K: store code, the day the order was placed, a sequence
+  // that only ever goes up (kept in localStorage) and a Luhn check digit
+  // over the date and sequence. The check digit lets staff catch a
+  // mistyped or misheard number before looking it up.
+  const ORDER_NUMBER_PREFIX = "C5";
+  const ORDER_SEQUENCE_KEY = "cincoOrderSequence";
+
+  const OrderNumbers = (function () {
+    function datePart(now) {
+      const pad = (n) => String(n).padStart(2, "0");
+      return `${pad(now.getFullYear() % 100)}${pad(now.getMonth() + 1)}${pad(
+        now.getDate()
+      )}`;
+    }
+
+    function checkDigit(digits) {
+      for (let d = 0; d <= 9; d++) {
+        if (luhnCheck(`${digits}${d}`)) return String(d);
+      }
+      return "0";
+    }
+
+    function nextSequence() {
+      let seq = 0;
+      try {
+        seq = parseInt(localStorage.getItem(ORDER_SEQUENCE_KEY), 10) || 0;
+      } catch (e) {}
+      seq += 1;
+      try {
+        localStorage.setItem(ORDER_SEQUENCE_KEY, String(seq));
+      } catch (e) {
+        console.error("OrderNumbers sequence error:", e);
+      }
+      return seq;
+    }
+
+    function format(date, seq) {
+      const sequence = String(seq).padStart(4, "0");
+      return `${ORDER_NUMBER_PREFIX}-${date}-${sequence}-${checkDigit(
+        date + sequence
+      )}`;
+    }
+
+    // A fresh number, skipping any already used (e.g. after storage was
+    // partly cleared)
+    function next(now = new Date(OrderTracker.now())) {
+      let number;
+      do {
+        number = format(datePart(now), nextSequence());
+      } while (OrderHistory.find(number));
+      return number;
+    }
+
+    // Canonical form of a number as typed or read out ("c5 261019 0042 6"),
+    // or null if it can't be one of ours. Six-digit numbers from before
+    // this scheme have no check digit and are passed through.
+    function parse(raw) {
+      const compact = String(raw || "")
+        .toUpperCase()
+        .replace(/^#/, "")
+        .replace(/[\s-]/g, "");
+      if (/^\d{6}$/.test(compact)) return { number: compact, legacy: true };
+      const m = compact.match(
+        new RegExp(`^(?:${ORDER_NUMBER_PREFIX})?(\\d{6})(\\d{4,})(\\d)$`)
+      );
+      if (!m) return null;
+      return {
+        number: `${ORDER_NUMBER_PREFIX}-${m[1]}-${m[2]}-${m[3]}`,
+        valid: checkDigit(m[1] + m[2]) === m[3],
+        legacy: false,
+      };
+    }
+
+    function isValid(raw) {
+      const parsed = parse(raw);
+      return !!parsed && (parsed.legacy || parsed.valid);
+    }
+
+    // For support staff: check the number, then find the stored order.
+    // { ok, number, userId, order } or { ok: false, msg }
+    function lookup(raw) {
+      const parsed = parse(raw);
+      if (!parsed)
+        return {
+          ok: false,
+          msg: `Order numbers look like ${ORDER_NUMBER_PREFIX}-261019-0042-6`,
+        };
+      if (!parsed.legacy && !parsed.valid)
+        return {
+          ok: false,
+          msg: "That order number doesn't check out — please read it again",
+        };
+      const found = OrderHistory.find(parsed.number);
+      if (!found)
+        return {
+          ok: false,
+          msg: `No order found with number ${parsed.number}`,
+        };
+      return Object.assign({ ok: true, number: parsed.number }, found);
+    }
+
+    return { next, parse, isValid, lookup };
+  })();
+
+  window.OrderNumbers = OrderNumbers;
+
+  // ============================================
+  // ORDER STATUS
+  // ============================================
+  // Received → Preparing → Out for delivery / Ready for pickup → Completed,
+  // or Cancelled before the order leaves the kitchen.
+  const ORDER_STATUSES = {
+    received: "Received",
+    preparing: "Preparing",
+    "out-for-delivery": "Out for delivery",
+    "ready-for-pickup": "Ready for pickup",
+    completed: "Completed",
+    cancelled: "Cancelled",
+  };
+
+  const ORDER_TRANSITIONS = {
+    received: ["preparing", "cancelled"],
+    preparing: ["out-for-delivery", "ready-for-pickup", "cancelled"],
+    "out-for-delivery": ["completed"],
+    "ready-for-pickup": ["completed"],
+    completed: [],
+    cancelled: [],
+  };
+
+  // Simulated kitchen: minutes after the last transition before the next one
+  const ORDER_STATUS_SCHEDULE_MIN = {
+    received: 2,
+    preparing: 10,
+    "out-for-delivery": 25,
+    "ready-for-pickup": 30,
+  };
+
+  const ORDER_POLL_MS = 5000;
+
+  const OrderTracker = (function () {
+    // Injectable clock (ms since epoch) so the flow can be driven offline
+    let clock = () => Date.now();
+
+    function now() {
+      return Number(clock());
+    }
+
+    function setClock(fn) {
+      clock = typeof fn === "function" ? fn : () => Date.now();
+    }
+
+    // Orders saved before status tracking count as received when placed
+    function historyOf(order) {
+      if (Array.isArray(order.statusHistory) && order.statusHistory.length) {
+        return order.statusHistory;
+      }
+      return [{ status: "received", at: order.placedAt }];
+    }
+
+    function statusOf(order) {
+      const history = historyOf(order);
+      return order.status || history[history.length - 1].status;
+    }
+
+    function canTransition(order, next) {
+      return (ORDER_TRANSITIONS[statusOf(order)] || []).includes(next);
+    }
+
+    // The statuses shown on the timeline for this order, in order
+    function stepsFor(order) {
+      if (statusOf(order) === "cancelled") {
+        return historyOf(order).map((h) => h.status);
+      }
+      const handoff =
+        order.fulfilment === "pickup" ? "ready-for-pickup" : "out-for-delivery";
+      return ["received", "preparing", handoff, "completed"];
+    }
+
+    function applyTransition(order, next, at) {
+      order.statusHistory = historyOf(order).concat({
+        status: next,
+        at: new Date(at).toISOString(),
+      });
+      order.status = next;
+    }
+
+    function transition(userId, orderNumber, next, at = now()) {
+      let error = "";
+      const order = OrderHistory.update(userId, orderNumber, (o) => {
+        if (!canTransition(o, next)) {
+          error = `Order cannot go from ${
+            ORDER_STATUSES[statusOf(o)] || statusOf(o)
+          } to ${ORDER_STATUSES[next] || next}`;
+          return false;
+        }
+        applyTransition(o, next, at);
+      });
+      if (!order) return { ok: false, msg: error || "Order not found" };
+      return { ok: true, order };
+    }
+
+    // Move an order along the simulated schedule up to the current clock.
+    // Each step is stamped with its scheduled time, not the time we noticed.
+    function advance(userId, orderNumber) {
+      const t = now();
+      return OrderHistory.update(userId, orderNumber, (o) => {
+        let moved = false;
+        for (;;) {
+          const status = statusOf(o);
+          const delay = ORDER_STATUS_SCHEDULE_MIN[status];
+          if (delay == null) break;
+          const history = historyOf(o);
+          let due = Date.parse(history[history.length - 1].at) + delay * 60000;
+          // scheduled orders start preparing one lead time before the slot
+          if (status === "received" && o.schedule && o.schedule.start) {
+            due = Math.max(
+              due,
+              Date.parse(o.schedule.start) - PREP_LEAD_MINUTES * 60000
+            );
+          }
+          if (!(due <= t)) break;
+          const steps = stepsFor(o);
+          const next = steps[steps.indexOf(status) + 1];
+          if (!next || !canTransition(o, next)) break;
+          applyTransition(o, next, due);
+          moved = true;
+        }
+        return moved;
+      });
+    }
+
+    function advanceAll(userId) {
+      OrderHistory.list(userId).forEach((o) => advance(userId, o.orderNumber));
+    }
+
+    return {
+      now,
+      setClock,
+      statusOf,
+      historyOf,
+      stepsFor,
+      canTransition,
+      transition,
+      advance,
+      advanceAll,
+    };
+  })();
+
+  window.OrderTracker = OrderTracker;
+
+  // Put a past order's lines back in the cart at today's prices. Lines whose
+  // product or size left the menu are skipped; price changes are flagged.
+  function reorderPastOrder(userId, orderNumber) {
+    const order = OrderHistory.get(userId, orderNumber);
+    if (!order) {
+      showNotification("❌ Order not found", 2000, "error");
+      return Promise.resolve(null);
+    }
+
+    return Catalog.load()
+      .then(() => {
+        const added = [];
+        const skipped = [];
+        const repriced = [];
+
+        order.items.forEach((it) => {
+          const custom = { options: it.options, note: it.note };
+          const line = Catalog.toCartItem(
+            it.productId,
+            it.size,
+            it.qty,
+            custom
+          );
+          if (!line) {
+            skipped.push(it.name);
+            return;
+          }
+          addToCart(
+            Object.assign(
+              { productId: line.productId, size: line.size },
+              custom,
+              {
+                qty: line.qty,
+              }
+            ),
+            { silent: true }
+          );
+          added.push(line.name);
+          if (line.price !== Number(it.price)) {
+            repriced.push(
+              `${line.name} (₱${Number(it.price).toFixed(
+                2
+              )} → ₱${line.price.toFixed(2)})`
+            );
+          }
+        });
+
+        if (!added.length) {
+          showNotification(
+            `❌ None of the items in order #${order.orderNumber} are available anymore`,
+            3500,
+            "error"
+          );
+          return { added, skipped, repriced };
+        }
+
+        const notes = [];
+        if (repriced.length) notes.push(`New prices: ${repriced.join(", ")}.`);
+        if (skipped.length)
+          notes.push(`No longer available: ${skipped.join(", ")}.`);
+        showNotification(
+          `🔁 ${added.length} item${
+            added.length === 1 ? "" : "s"
+          } from order #${order.orderNumber} added to your cart. ${notes.join(
+            " "
+          )}`.trim(),
+          notes.length ? 5000 : 2500,
+          notes.length ? "warning" : "success"
+        );
+
+        updateCartCount();
+        rebuildCartModal();
+        openCartModal();
+        return { added, skipped, repriced };
+      })
+      .catch((err) => {
+        console.error("reorderPastOrder error:", err);
+        showNotification(
+          "❌ Menu unavailable, please try again",
+          2000,
+          "error"
+        );
+        return null;
+      });
+  }
+
+  // ============================================
+  // CART FUNCTIONS
+  // ============================================
+
+  const MAX_LINE_QTY = 99; // per cart line
+  const GUEST_ID_KEY = "cincoGuestId";
+
+  // Anonymous visitors get a generated id so their cart lives in cincoCart too
+  function getGuestId() {
+    try {
+      let id = localStorage.getItem(GUEST_ID_KEY);
+      if (!id) {
+        id =
+          "guest_" +
+          Date.now().toString(36) +
+          Math.random().toString(36).slice(2, 8);
+        localStorage.setItem(GUEST_ID_KEY, id);
+      }
+      return id;
+    } catch (e) {
+      return "guest";
+    }
+  }
+
+  // Key of the cart in use: the logged-in user, otherwise the guest id
+  function getCartOwnerId() {
+    const session = SessionManager.current();
+    return session ? session.userId : getGuestId();
+  }
+
+  // Move the guest cart into the account cart after login or signup.
+  // Lines with the same id (product, size and customization) have their
+  // quantities summed; the guest id is dropped once merged.
+  function mergeGuestCart(userId) {
+    try {
+      const guestId = localStorage.getItem(GUEST_ID_KEY);
+      if (!userId || !guestId || guestId === userId) return 0;
+
+      const raw = localStorage.getItem("cincoCart");
+      const allCarts = raw ? JSON.parse(raw) : {};
+      const guestCart = Array.isArray(allCarts[guestId])
+        ? allCarts[guestId]
+        : [];
+      const userCart = Array.isArray(allCarts[userId]) ? allCarts[userId] : [];
+
+      let merged = 0;
+      guestCart.forEach((line) => {
+        if (!line || !line.id) return;
+        const qty = Math.max(1, Math.floor(Number(line.qty) || 1));
+        const existing = userCart.find((p) => p.id === line.id);
+        if (existing) {
+          existing.qty = Math.min(
+            MAX_LINE_QTY,
+            Math.floor(Number(existing.qty) || 0) + qty
+          );
+        } else {
+          userCart.push(
+            Object.assign({}, line, { qty: Math.min(MAX_LINE_QTY, qty) })
+          );
+        }
+        merged += qty;
+      });
+
+      delete allCarts[guestId];
+      if (userCart.length) allCarts[userId] = userCart;
+      localStorage.setItem("cincoCart", JSON.stringify(allCarts));
+      localStorage.removeItem(GUEST_ID_KEY);
+      return merged;
+    } catch (err) {
+      console.error("mergeGuestCart error:", err);
+      return 0;
+    }
+  }
+
+  function isUserLoggedIn() {
+    return SessionManager.isLoggedIn();
+  }
+
+  // opts.silent skips the per-item toast (used when adding many lines)
+  function addToCart(item, opts = {}) {
+    try {
+      // Prices and names always come from the catalog, never from the caller
+      if (!Catalog.isLoaded()) {
+        Catalog.load()
+          .then(() => addToCart(item, opts))
+          .catch(() =>
+            showNotification(
+              "❌ Menu unavailable, please try again",
+              2000,
+              "error"
+            )
+          );
+        return;
+      }
+
+      // accept a catalog line id ("americano-350ml") or { productId, size, qty }
+      if (typeof item === "string") {
+        const cut = item.lastIndexOf("-");
+        item = { productId: item.slice(0, cut), size: item.slice(cut + 1) };
+      }
+      const product = Catalog.resolve(item);
+      const size =
+        (item && item.size) || (product && product.variants[0].size) || "";
+      const line = product
+        ? Catalog.toCartItem(product.id, size, item.qty || 1, {
+            options: item.options,
+            note: item.note,
+          })
+        : null;
+      if (!line) {
+        console.warn("Invalid item:", item);
+        showNotification("❌ This item is no longer available", 2000, "error");
+        return;
+      }
+      item = line;
+
+      // Guests shop under a generated id; login is only needed at checkout
+      const ownerId = getCartOwnerId();
+      const raw = localStorage.getItem("cincoCart");
+      const allCarts = raw ? JSON.parse(raw) : {};
+      const userCart = allCarts[ownerId] || [];
+
+      const existing = userCart.find((p) => p.id === item.id);
+      if (existing) {
+        existing.qty = Math.min(MAX_LINE_QTY, existing.qty + item.qty);
+        existing.price = item.price;
+        if (!opts.silent)
+          showNotification(
+            `✅ ${item.name} quantity updated in cart`,
+            1500,
+            "success"
+          );
+      } else {
+        userCart.push(item);
+        if (!opts.silent)
+          showNotification(`✅ ${item.name} added to cart!`, 1500, "success");
+      }
+
+      allCarts[ownerId] = userCart;
+      localStorage.setItem("cincoCart", JSON.stringify(allCarts));
+
+      updateCartCount();
+
+      setTimeout(() => {
+        rebuildCartModal();
+      }, 100);
+    } catch (err) {
+      console.error("addToCart error:", err);
+      showNotification("❌ Error adding item to cart", 2000, "error");
+    }
+  }
+
+  function updateCartCount() {
+    try {
+      // Skip cart count update on checkout page
+      if (window.location.pathname.includes("checkout")) {
+        return;
+      }
+
+      const ownerId = getCartOwnerId();
+      const counts = document.querySelectorAll(".cart-count");
+
+      const raw = localStorage.getItem("cincoCart");
+      const allCarts = raw ? JSON.parse(raw) : {};
+      const userCart = allCarts[ownerId] || [];
+      const total = userCart.reduce((sum, p) => sum + (p.qty || 0), 0);
+
+      counts.forEach((c) => {
+        c.textContent = total;
+        if (total > 0) {
+          c.style.display = "flex !important";
+          c.style.visibility = "visible";
+          c.style.opacity = "1";
+        } else {
+          c.style.display = "none";
+        }
+      });
+    } catch (err) {
+      console.error("updateCartCount error:", err);
+    }
+  }
+
+  function rebuildCartModal() {
+    try {
+      const ownerId = getCartOwnerId();
+
+      const modalBody = document.querySelector("#cartModal .cart-items");
+      const cartTotal = document.querySelector("#cartModal .cart-total");
+      const cartCountBadge = document.querySelectorAll(".cart-count");
+
+      if (!modalBody) return;
+
+      modalBody.innerHTML = "";
+      renderPromoLines(getCartDiscountsEl(cartTotal), []);
+
+      const raw = localStorage.getItem("cincoCart");
+      const allCarts = raw ? JSON.parse(raw) : {};
+      const userCart = allCarts[ownerId] || [];
+
+      if (!userCart.length) {
+        modalBody.innerHTML =
+          '<p style="padding:20px;text-align:center;color:#999;">Your cart is empty.</p>';
+        if (cartTotal) cartTotal.textContent = "₱0.00";
+        cartCountBadge.forEach((c) => {
+          c.textContent = "0";
+          c.style.display = "none";
+        });
+        return;
+      }
+
+      let grandTotal = 0;
+      let totalQty = 0;
+
+      userCart.forEach((item, idx) => {
+        const price = Number(item.price || 0);
+        const qty = Number(item.qty || 1);
+        const itemTotal = price * qty;
+        grandTotal += itemTotal;
+        totalQty += qty;
+
+        const imgSrc =
+          item.img ||
+          item.image ||
+          item.dataImg ||
+          item.imgSrc ||
+          item.thumbnail ||
+          item.src ||
+          "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='100' height='100'%3E%3Crect fill='%23ddd' width='100' height='100'/%3E%3Ctext x='50' y='50' font-size='12' fill='%23999' text-anchor='middle' dy='.3em'%3ENo Image%3C/text%3E%3C/svg%3E";
+
+        // cart lines come from localStorage, so every field is escaped
+        const name = escapeHtml(item.name || "Product");
+
+        const itemRow = document.createElement("div");
+        itemRow.className = "cart-item";
+        itemRow.style.cssText =
+          "display:flex; align-items:center; gap:14px; padding:12px 16px; border-bottom:1px solid #f0e8df;";
+
+        itemRow.innerHTML = `
+          <div class="cart-item-left" style="display:flex; align-items:center; gap:12px; flex:1;">
+            <div class="cart-item-img">
+              <img src="${escapeHtml(imgSrc)}" alt="${name}" />
+            </div>
+            <div class="cart-item-details">
+              <strong class="cart-item-name">${name}</strong>
+              ${
+                item.size
+                  ? `<div class="cart-item-size">Size: ${escapeHtml(
+                      item.size
+                    )}</div>`
+                  : ""
+              }
+              ${renderLineOptions(item, "cart-item")}
+              <div class="cart-item-qty-price" style="margin-top:6px; color:#7a6a62;">₱${price.toFixed(
+                2
+              )} each</div>
+              <div class="cart-item-controls">
+                <button type="button" class="qty-decrease-btn" data-idx="${idx}" aria-label="Decrease quantity">−</button>
+                <input type="number" class="cart-item-quantity" data-idx="${idx}" value="${qty}" min="0" max="${MAX_LINE_QTY}" step="1" inputmode="numeric" aria-label="Quantity for ${name}" />
+                <button type="button" class="qty-increase-btn" data-idx="${idx}" aria-label="Increase quantity">+</button>
+              </div>
+            </div>
+          </div>
+
+          <div class="cart-item-right" style="display:flex; align-items:center; gap:12px; text-align:right;">
+            <div style="font-weight:700; min-width:90px;">₱${itemTotal.toFixed(
+              2
+            )}</div>
+            <button class="remove-item-btn" data-idx="${idx}" aria-label="Remove item" style="background:none;border:none;color:#e76b66;cursor:pointer;padding:6px;">
+              Remove
+            </button>
+          </div>
+        `;
+
+        modalBody.appendChild(itemRow);
+      });
+
+      const promo = Promotions.evaluate(userCart);
+      renderPromoLines(getCartDiscountsEl(cartTotal), promo.applied);
+      const payable = Math.max(0, grandTotal - promo.discount);
+      if (cartTotal) cartTotal.textContent = `₱${payable.toFixed(2)}`;
+
+      cartCountBadge.forEach((c) => {
+        c.textContent = totalQty;
+        c.style.display = totalQty > 0 ? "flex" : "none";
+      });
+
+      modalBody.querySelectorAll(".remove-item-btn").forEach((btn) => {
+        btn.onclick = (e) => {
+          e.preventDefault();
+          const idx = Number(btn.getAttribute("data-idx"));
+          removeFromCart(idx);
+        };
+      });
+
+      modalBody
+        .querySelectorAll(".qty-decrease-btn, .qty-increase-btn")
+        .forEach((btn) => {
+          btn.onclick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const idx = Number(btn.getAttribute("data-idx"));
+            const step = btn.classList.contains("qty-increase-btn") ? 1 : -1;
+            const current = Number((userCart[idx] || {}).qty || 0);
+            updateCartItemQty(idx, current + step);
+          };
+        });
+
+      modalBody.querySelectorAll(".cart-item-quantity").forEach((input) => {
+        const idx = Number(input.getAttribute("data-idx"));
+        const commit = () => {
+          const value = String(input.value).trim();
+          if (!/^\d+$/.test(value)) {
+            // not a whole number — restore the stored quantity
+            input.value = String((userCart[idx] || {}).qty || 1);
+            return;
+          }
+          updateCartItemQty(idx, Number(value));
+        };
+        input.addEventListener("change", commit);
+        input.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            commit();
+          }
+        });
+        input.addEventListener("click", (e) => e.stopPropagation());
+      });
+
+      console.log(
+        "✓ Cart modal rebuilt with",
+        userCart.length,
+        "items, total qty:",
+        totalQty
+      );
+    } catch (err) {
+      console.error("rebuildCartModal error:", err);
+    }
+  }
+
+  // One row per applied promotion, e.g. "Buy Two Get One Free (1 free)"
+  function renderPromoLines(container, applied) {
+    if (!container) return;
+    const list = Array.isArray(applied) ? applied : [];
+    container.innerHTML = list
+      .map(
+        (p) => `
+          <div class="promo-row" data-promo-id="${escapeHtml(p.id)}">
+            <span>${escapeHtml(p.title)}${
+          p.freeQty ? ` (${p.freeQty} free)` : ""
+        }</span>
+            <span>−₱${Number(p.discount).toFixed(2)}</span>
+          </div>`
+      )
+      .join("");
+    container.style.display = list.length ? "" : "none";
+  }
+
+  function getCartDiscountsEl(cartTotal) {
+    if (!cartTotal || !cartTotal.parentNode) return null;
+    let el = cartTotal.parentNode.querySelector(".cart-discounts");
+    if (!el) {
+      el = document.createElement("div");
+      el.className = "cart-discounts";
+      cartTotal.parentNode.insertBefore(el, cartTotal);
+    }
+    return el;
+  }
+
+  function removeFromCart(index) {
+    try {
+      const ownerId = getCartOwnerId();
+
+      const raw = localStorage.getItem("cincoCart");
+      const allCarts = raw ? JSON.parse(raw) : {};
+      const userCart = allCarts[ownerId] || [];
+
+      userCart.splice(index, 1);
+      allCarts[ownerId] = userCart;
+      localStorage.setItem("cincoCart", JSON.stringify(allCarts));
+
+      showNotification("Item removed from cart", 1000);
+      updateCartCount();
+      rebuildCartModal();
+    } catch (err) {
+      console.error("removeFromCart error:", err);
+    }
+  }
+
+  // Set the quantity of one cart line; 0 removes the line entirely
+  function updateCartItemQty(index, qty) {
+    try {
+      const ownerId = getCartOwnerId();
+
+      const raw = localStorage.getItem("cincoCart");
+      const allCarts = raw ? JSON.parse(raw) : {};
+      const userCart = allCarts[ownerId] || [];
+      const line = userCart[index];
+      if (!line) return;
+
+      const nextQty = Math.min(
+        MAX_LINE_QTY,
+        Math.max(0, Math.floor(Number(qty) || 0))
+      );
+
+      if (nextQty === 0) {
+        userCart.splice(index, 1);
+        showNotification(`${line.name || "Item"} removed from cart`, 1000);
+      } else {
+        line.qty = nextQty;
+      }
+
+      allCarts[ownerId] = userCart;
+      localStorage.setItem("cincoCart", JSON.stringify(allCarts));
+
+      updateCartCount();
+      rebuildCartModal();
+    } catch (err) {
+      console.error("updateCartItemQty error:", err);
+    }
+  }
+
+  function updateCartUI() {
+    updateCartCount();
+    rebuildCartModal();
+  }
+
+  // ============================================
+  // CART MODAL FUNCTIONS
+  // ============================================
+
+  function openCartModal() {
+    const modal = document.getElementById("cartModal");
+    const overlay = document.querySelector(".overlay");
+    const cartBtn = document.querySelector(".cart-btn");
+
+    if (modal) {
+      modal.classList.add("active");
+      modal.setAttribute("aria-hidden", "false");
+      modal.style.display = "flex";
+      modal.style.transform = "translateX(0)";
+    }
+    if (overlay) {
+      overlay.classList.add("active");
+      overlay.style.display = "block";
+      overlay.style.pointerEvents = "auto";
+      overlay.style.opacity = "1";
+    }
+    if (cartBtn) {
+      cartBtn.classList.add("behind-modal");
+      cartBtn.style.zIndex = "800";
+      cartBtn.style.pointerEvents = "none";
+      cartBtn.style.opacity = "0";
+    }
+
+    console.log("✓ Cart modal opened");
+  }
+
+  function closeCartModal() {
+    const modal = document.getElementById("cartModal");
+    const overlay = document.querySelector(".overlay");
+    const cartBtn = document.querySelector(".cart-btn");
+
+    if (modal) {
+      modal.classList.remove("active");
+      modal.setAttribute("aria-hidden", "true");
+      modal.style.transform = "translateX(100%)";
+    }
+    if (overlay) {
+      overlay.classList.remove("active");
+      overlay.style.pointerEvents = "none";
+      overlay.style.opacity = "0";
+    }
+    if (cartBtn) {
+      cartBtn.classList.remove("behind-modal");
+      cartBtn.style.zIndex = "";
+      cartBtn.style.pointerEvents = "";
+      cartBtn.style.opacity = "";
+    }
+
+    setTimeout(() => {
+      try {
+        if (modal) modal.style.display = "none";
+        if (overlay) overlay.style.display = "none";
+      } catch (e) {}
+    }, 320);
+
+    console.log("✓ Cart modal closed");
+  }
+
+  // ============================================
+  // BIND PRODUCT BUTTONS
+  // ============================================
+
+  function bindProductButtons() {
+    console.log("✓ Binding product buttons...");
+
+    const overlay = document.querySelector(".overlay");
+    if (overlay) {
+      overlay.style.pointerEvents = "none";
+    }
+
+    document.querySelectorAll(".add-to-cart-btn").forEach((btn) => {
+      if (btn.__cincoBound) return;
+      btn.__cincoBound = true;
+      btn.style.pointerEvents = "auto";
+      btn.style.cursor = "pointer";
+
+      btn.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const productId = btn.getAttribute("data-product-id");
+        const size = btn.getAttribute("data-size");
+
+        openCustomizeModal(productId, size);
+      });
+    });
+
+    const cartBtn = document.querySelector(".cart-btn");
+    if (cartBtn) {
+      cartBtn.style.pointerEvents = "auto";
+      cartBtn.style.cursor = "pointer";
+      if (!cartBtn.__cincoCartBound) {
+        cartBtn.__cincoCartBound = true;
+        cartBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          openCartModal();
+          rebuildCartModal();
+        });
+      }
+    }
+
+    const closeBtn = document.querySelector(".close-cart");
+    if (closeBtn && !closeBtn.__cincoBound) {
+      closeBtn.__cincoBound = true;
+      closeBtn.addEventListener("click", closeCartModal);
+    }
+
+    if (overlay && !overlay.__cincoClickBound) {
+      overlay.__cincoClickBound = true;
+      overlay.addEventListener("click", closeCartModal);
+    }
+
+    console.log("✓ Product buttons bound successfully");
+  }
+
+  // ============================================
+  // LOGOUT HANDLER
+  // ============================================
+
+  function bindLogoutButton() {
+    const logoutBtn = document.getElementById("logoutBtn");
+    if (!logoutBtn) return;
+
+    if (logoutBtn.__cincoBound) return;
+    logoutBtn.__cincoBound = true;
+
+    logoutBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+
+      // Clear session; the cart stays saved under the user's id for their
+      // next login
+      try {
+        SessionManager.clear();
+      } catch (err) {}
+
+      console.log("✓ User logged out");
+      showNotification("👋 Logged out successfully", 2000, "info");
+
+      // Update UI
+      updateUserHeaderUI();
+      updateCartCount();
+
+      // Redirect to home
+      setTimeout(() => {
+        window.location.href = "index.html";
+      }, 500);
+    });
+  }
+
+  // ============================================
+  // CHECKOUT BUTTON
+  // ============================================
+
+  function bindCheckoutButton() {
+    const btn = document.querySelector(".checkout-btn");
+    if (!btn) return;
+    if (btn.__cincoBound) return;
+    btn.__cincoBound = true;
+
+    btn.addEventListener("click", (e) => {
+      e.preventDefault();
+      if (!isUserLoggedIn()) {
+        // the guest cart is merged into the account cart on login
+        showNotification("Please log in to checkout", 2500, "warning");
+        setTimeout(
+          () => (window.location.href = "logSign.html?next=checkout.html"),
+          800
+        );
+        return;
       }
 
-      const counts = document.querySelectorAll(".cart-count");
+      // DO NOT check/alert cart emptiness here — handle it on checkout page
+      closeCartModal();
+      setTimeout(() => {
+        window.location.href = "checkout.html";
+      }, 200);
+    });
+  }
 
-      if (!session || !session.userId) {
-        counts.forEach((c) => {
-          c.textContent = "0";
-          c.style.display = "none";
+  // ============================================
+  // CHECKOUT FORM VALIDATION
+  // ============================================
+  const NAME_PATTERN = /^[A-Za-zÀ-ÖØ-öø-ÿ][A-Za-zÀ-ÖØ-öø-ÿ .'-]*$/;
+
+  // Field id -> validator returning { ok, value } or { ok: false, msg }
+  const CHECKOUT_FIELD_RULES = {
+    firstName: (v) =>
+      validateTextField("First name", v, {
+        required: true,
+        min: 2,
+        max: 50,
+        pattern: NAME_PATTERN,
+      }),
+    lastName: (v) =>
+      validateTextField("Last name", v, {
+        required: true,
+        min: 2,
+        max: 50,
+        pattern: NAME_PATTERN,
+      }),
+    email: (v) => validateEmail(v),
+    phone: (v) => validatePhonePH(v),
+    address: (v) =>
+      validateTextField("Address", v, { required: true, min: 10, max: 200 }),
+    city: (v) =>
+      validateTextField("City", v, {
+        required: true,
+        min: 2,
+        max: 60,
+        pattern: NAME_PATTERN,
+      }),
+    zip: (v) => validateZipPH(v),
+    cardName: (v) =>
+      validateTextField("Name on card", v, {
+        required: true,
+        min: 2,
+        max: 60,
+        pattern: NAME_PATTERN,
+      }),
+    cardNumber: (v) => validateCardNumber(v),
+    cardExpiry: (v) => validateCardExpiry(v),
+    cardCvv: (v) => {
+      const number = document.getElementById("cardNumber");
+      return validateCardCvv(v, cardBrand(number ? number.value : ""));
+    },
+    gcashReference: (v) => validateGcashReference(v),
+  };
+  // Not asked for when the order is picked up at a pop-up
+  const DELIVERY_ONLY_FIELDS = ["address", "city", "zip"];
+  // Only asked for with the matching payment method
+  const PAYMENT_FIELDS = {
+    card: ["cardName", "cardNumber", "cardExpiry", "cardCvv"],
+    gcash: ["gcashReference"],
+  };
+
+  // Fields that don't apply to the chosen fulfilment and payment method
+  function skippedCheckoutFields(form) {
+    const method = readPaymentMethod(form);
+    const skipped =
+      readFulfilment(form) === "pickup" ? DELIVERY_ONLY_FIELDS.slice() : [];
+    Object.keys(PAYMENT_FIELDS).forEach((m) => {
+      if (m !== method) skipped.push(...PAYMENT_FIELDS[m]);
+    });
+    return skipped;
+  }
+
+  function setFieldError(input, msg) {
+    const errorId = `${input.id}-error`;
+    let errorEl = document.getElementById(errorId);
+    if (!errorEl) {
+      errorEl = document.createElement("small");
+      errorEl.id = errorId;
+      errorEl.className = "field-error";
+      errorEl.setAttribute("role", "alert");
+      input.insertAdjacentElement("afterend", errorEl);
+    }
+    errorEl.textContent = msg;
+    input.classList.add("is-invalid");
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", errorId);
+  }
+
+  function clearFieldError(input) {
+    const errorEl = document.getElementById(`${input.id}-error`);
+    if (errorEl) errorEl.remove();
+    input.classList.remove("is-invalid");
+    input.removeAttribute("aria-invalid");
+    input.removeAttribute("aria-describedby");
+  }
+
+  // Validate one field, show/clear its inline error; normalized values
+  // (e.g. the +63 phone number) are written back to the input
+  function validateCheckoutField(input) {
+    const rule = CHECKOUT_FIELD_RULES[input.id];
+    if (!rule) return { ok: true };
+    const res = rule(input.value);
+    if (res.ok) {
+      clearFieldError(input);
+      if (["phone", "zip", "cardExpiry"].includes(input.id))
+        input.value = res.value;
+    } else {
+      setFieldError(input, getErrorText(res, "Invalid value"));
+    }
+    return res;
+  }
+
+  // Pop-up store and date must both still be open for pickup
+  function validatePickupFields(form) {
+    const location = form.querySelector("#pickupLocation");
+    const date = form.querySelector("#pickupDate");
+    if (!location || !date) return { ok: false, input: null };
+    const res = PickupLocations.validate(location.value, date.value);
+    [location, date].forEach(clearFieldError);
+    if (res.ok) return res;
+    const input = res.field === "pickupDate" ? date : location;
+    setFieldError(input, res.msg);
+    return { ok: false, input };
+  }
+
+  function validateCheckoutForm(form) {
+    const values = {};
+    let firstInvalid = null;
+    const pickup = readFulfilment(form) === "pickup";
+    const skipped = skippedCheckoutFields(form);
+    Object.keys(CHECKOUT_FIELD_RULES).forEach((id) => {
+      const input = form.querySelector(`#${id}`);
+      if (!input) return;
+      if (skipped.includes(id)) {
+        clearFieldError(input);
+        return;
+      }
+      const res = validateCheckoutField(input);
+      if (res.ok) values[id] = res.value;
+      else if (!firstInvalid) firstInvalid = input;
+    });
+    if (pickup) {
+      const res = validatePickupFields(form);
+      if (res.ok) values.pickup = res.pickup;
+      else if (!firstInvalid) firstInvalid = res.input;
+    }
+    if (firstInvalid || (pickup && !values.pickup)) {
+      if (firstInvalid) firstInvalid.focus();
+      showFormMessage(
+        "checkoutForm",
+        pickup && !PickupLocations.active().length
+          ? "❌ No pop-up stores are open for pickup right now. Please choose delivery."
+          : "❌ Please correct the highlighted fields.",
+        "error"
+      );
+      return { ok: false, values };
+    }
+
+    const slotInput = form.querySelector("#scheduleSlot");
+    if (slotInput) clearFieldError(slotInput);
+    const schedule = resolveOrderSchedule(form);
+    if (!schedule.ok) {
+      if (slotInput && schedule.field === "scheduleSlot") {
+        setFieldError(slotInput, schedule.msg);
+        slotInput.focus();
+      }
+      showFormMessage("checkoutForm", `❌ ${schedule.msg}`, "error");
+      return { ok: false, values };
+    }
+    values.schedule = schedule.schedule;
+    const message = document.getElementById("checkoutForm-message");
+    if (message && message.classList.contains("error"))
+      message.style.display = "none";
+    return { ok: true, values };
+  }
+
+  // Live feedback: validate on blur, clear the error once the value is fixed
+  function bindCheckoutValidation(form) {
+    if (!form || form.__cincoValidationBound) return;
+    form.__cincoValidationBound = true;
+    Object.keys(CHECKOUT_FIELD_RULES).forEach((id) => {
+      const input = form.querySelector(`#${id}`);
+      if (!input) return;
+      input.addEventListener("blur", () => {
+        if (input.value.trim()) validateCheckoutField(input);
+      });
+      input.addEventListener("input", () => {
+        if (input.getAttribute("aria-invalid") !== "true") return;
+        const rule = CHECKOUT_FIELD_RULES[id];
+        if (rule(input.value).ok) clearFieldError(input);
+      });
+    });
+  }
+
+  // ============================================
+  // ORDER PLACEMENT
+  // ============================================
+  // The one pipeline behind #checkoutForm:
+  //   validate → price → pay → persist → clear cart → confirm
+  // Only one placement runs at a time. Each attempt carries an idempotency
+  // key (kept in sessionStorage until an order is saved with it), so a
+  // retried submit shows the order it already produced instead of charging
+  // and saving a second one.
+  const CHECKOUT_ATTEMPT_KEY = "cincoCheckoutAttempt";
+  let orderInFlight = null; // Promise of the placement in progress
+  // Keeps the checkout slot picker current; stopped once an order is placed
+  let scheduleRefreshId = null;
+
+  // Same user, lines, total and payment method -> same attempt
+  function checkoutSignature(userId, lines, totals, method) {
+    return JSON.stringify([
+      userId,
+      lines.map((l) => [l.id, l.qty, l.price]),
+      totals.total,
+      method,
+    ]);
+  }
+
+  function checkoutAttemptKey(signature) {
+    try {
+      const saved = JSON.parse(
+        sessionStorage.getItem(CHECKOUT_ATTEMPT_KEY) || "null"
+      );
+      if (saved && saved.signature === signature && saved.key) return saved.key;
+    } catch (e) {}
+    const key = `chk_${Date.now().toString(36)}_${Math.random()
+      .toString(36)
+      .slice(2, 10)}`;
+    try {
+      sessionStorage.setItem(
+        CHECKOUT_ATTEMPT_KEY,
+        JSON.stringify({ key, signature })
+      );
+    } catch (e) {}
+    return key;
+  }
+
+  function clearCheckoutAttempt() {
+    try {
+      sessionStorage.removeItem(CHECKOUT_ATTEMPT_KEY);
+    } catch (e) {}
+  }
+
+  function setPlaceOrderBusy(busy) {
+    const btn = document.querySelector(".place-order-btn");
+    if (!btn) return;
+    if (busy) {
+      if (!btn.dataset.label) btn.dataset.label = btn.innerHTML;
+      btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Placing order…';
+    } else if (btn.dataset.label) {
+      btn.innerHTML = btn.dataset.label;
+      delete btn.dataset.label;
+    }
+    btn.classList.toggle("is-busy", busy);
+    btn.disabled = busy;
+    btn.setAttribute("aria-busy", busy ? "true" : "false");
+  }
+
+  function clearUserCart(userId) {
+    try {
+      const allCarts = JSON.parse(localStorage.getItem("cincoCart") || "{}");
+      delete allCarts[userId];
+      localStorage.setItem("cincoCart", JSON.stringify(allCarts));
+    } catch (e) {
+      console.error("clearUserCart error:", e);
+    }
+    updateCartCount();
+  }
+
+  function showOrderSuccess(order) {
+    clearInterval(scheduleRefreshId);
+    scheduleRefreshId = null;
+    const orderNumberEl = document.getElementById("orderNumber");
+    if (orderNumberEl) orderNumberEl.textContent = order.orderNumber;
+    showOrderConfirmation(order);
+
+    const successModal = document.getElementById("orderSuccessModal");
+    if (successModal) {
+      successModal.style.display = "flex";
+      successModal.classList.add("active");
+    }
+    showNotification(
+      `✅ Order #${order.orderNumber} placed successfully! Total: ₱${Number(
+        order.total
+      ).toFixed(2)}`,
+      2000,
+      "success"
+    );
+  }
+
+  // Resolves with the placed order, or null when the order did not go
+  // through (the reason has already been shown)
+  function placeOrder(form) {
+    if (orderInFlight) return orderInFlight;
+
+    const session = SessionManager.current();
+    const userId = session ? session.userId : null;
+    const allCarts = JSON.parse(localStorage.getItem("cincoCart") || "{}");
+    const userCart = userId ? allCarts[userId] || [] : [];
+
+    // 1. validate
+    if (!userCart.length) {
+      showNotification(
+        "Your cart is empty. Please add items before placing an order.",
+        3000,
+        "warning"
+      );
+      return Promise.resolve(null);
+    }
+    const checked = validateCheckoutForm(form);
+    if (!checked.ok) return Promise.resolve(null);
+    // the slot is fixed here: payment can take long enough for it to fill
+    // up or pass its lead time, and a paid order keeps the slot it was given
+    const schedule = checked.values.schedule || null;
+
+    // 2. price: lines re-derived from the catalog, then promos, promo
+    // code and delivery; a tampered cart is repaired and held
+    if (!processCheckout(userId)) return Promise.resolve(null);
+    const totals = prepareOrderTotals(userId, userCart, readDeliveryArea(form));
+    if (!totals) return Promise.resolve(null);
+
+    const method = readPaymentMethod(form);
+    const key = checkoutAttemptKey(
+      checkoutSignature(userId, userCart, totals, method)
+    );
+    const existing = OrderHistory.findByKey(userId, key);
+    if (existing) {
+      clearCheckoutAttempt();
+      clearUserCart(userId);
+      showOrderSuccess(existing);
+      return Promise.resolve(existing);
+    }
+
+    setPlaceOrderBusy(true);
+    onCheckoutStart();
+
+    // 3. pay
+    orderInFlight = collectPayment(method, form, totals.total, key)
+      .then((result) => {
+        if (!result.ok) {
+          clearCheckoutAttempt();
+          reportPaymentFailure(result.reason);
+          return null;
+        }
+
+        // 4. persist (once per key); the number is only taken now, so a
+        // declined payment leaves no gap in the sequence
+        let order = OrderHistory.findByKey(userId, key);
+        if (!order) {
+          const orderNumber = OrderNumbers.next();
+          order = saveOrder(userId, orderNumber, userCart, totals, form, {
+            payment: result.payment,
+            idempotencyKey: key,
+            schedule,
+          });
+          if (!order) {
+            // nothing was stored, so the payment is voided rather than
+            // left charged for an order the shop will never see
+            const reason = "Your order could not be saved. Please try again.";
+            clearCheckoutAttempt();
+            return voidPayment(method, result.auth, reason).then(() => {
+              reportPaymentFailure(reason);
+              return null;
+            });
+          }
+          recordVoucherRedemption(totals, userId, orderNumber);
+        }
+
+        saveCheckoutAddress(userId, form, order);
+
+        // 5. clear cart, 6. confirm
+        clearCheckoutAttempt();
+        clearUserCart(userId);
+        showOrderSuccess(order);
+        return order;
+      })
+      .catch((err) => {
+        console.error("placeOrder error:", err);
+        reportPaymentFailure(getErrorText(err, "Checkout failed"));
+        return null;
+      })
+      .then((order) => {
+        orderInFlight = null;
+        setPlaceOrderBusy(false);
+        return order;
+      });
+    return orderInFlight;
+  }
+
+  // ============================================
+  // ADDRESS BOOK
+  // ============================================
+  // Saved delivery contacts per user, managed on account.html and offered
+  // at checkout. One entry per user is the default and prefills the form.
+  const ADDRESS_BOOK_KEY = "cincoAddressBook"; // { userId: [entry, ...] }
+  const ADDRESS_LABELS = ["Home", "Office", "Dorm", "Other"];
+  const ADDRESS_FIELDS = [
+    "firstName",
+    "lastName",
+    "email",
+    "phone",
+    "address",
+    "city",
+    "zip",
+  ];
+
+  // Same rules as the checkout form. { ok, value } or
+  // { ok: false, errors: { field: msg } }
+  function validateAddressEntry(raw) {
+    const value = {
+      label: ADDRESS_LABELS.includes(raw.label) ? raw.label : "Other",
+    };
+    const errors = {};
+    ADDRESS_FIELDS.forEach((field) => {
+      const res = CHECKOUT_FIELD_RULES[field](raw[field] || "");
+      if (res.ok) value[field] = res.value;
+      else errors[field] = getErrorText(res, "Invalid value");
+    });
+    return Object.keys(errors).length
+      ? { ok: false, errors }
+      : { ok: true, value };
+  }
+
+  const AddressBook = (function () {
+    function readAll() {
+      try {
+        const all = JSON.parse(localStorage.getItem(ADDRESS_BOOK_KEY) || "{}");
+        return all && typeof all === "object" && !Array.isArray(all) ? all : {};
+      } catch (e) {
+        return {};
+      }
+    }
+
+    function writeAll(all) {
+      try {
+        localStorage.setItem(ADDRESS_BOOK_KEY, JSON.stringify(all));
+      } catch (e) {
+        console.error("AddressBook write error:", e);
+      }
+    }
+
+    function entriesOf(all, userId) {
+      return Array.isArray(all[userId]) ? all[userId] : [];
+    }
+
+    // Default first, then in the order they were added
+    function list(userId) {
+      if (!userId) return [];
+      return entriesOf(readAll(), userId)
+        .slice()
+        .sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0));
+    }
+
+    function get(userId, id) {
+      return list(userId).find((e) => e.id === id) || null;
+    }
+
+    function getDefault(userId) {
+      return list(userId).find((e) => e.isDefault) || null;
+    }
+
+    function sameAddress(a, b) {
+      const norm = (s) =>
+        String(s || "")
+          .toLowerCase()
+          .replace(/\s+/g, " ")
+          .trim();
+      return (
+        norm(a.address) === norm(b.address) &&
+        norm(a.city) === norm(b.city) &&
+        norm(a.zip) === norm(b.zip)
+      );
+    }
+
+    // Add an entry, or update the one with the same id (or the same
+    // address). The first entry becomes the default.
+    // { ok, entry } or { ok: false, errors }
+    function save(userId, raw, { makeDefault = false } = {}) {
+      if (!userId) return { ok: false, errors: {} };
+      const res = validateAddressEntry(raw);
+      if (!res.ok) return res;
+
+      const all = readAll();
+      const entries = entriesOf(all, userId);
+      let entry =
+        (raw.id && entries.find((e) => e.id === raw.id)) ||
+        entries.find((e) => sameAddress(e, res.value));
+      if (entry) {
+        Object.assign(entry, res.value);
+      } else {
+        entry = Object.assign(
+          {
+            id: `addr_${Date.now().toString(36)}_${Math.random()
+              .toString(36)
+              .slice(2, 6)}`,
+            isDefault: false,
+          },
+          res.value
+        );
+        entries.push(entry);
+      }
+      if (makeDefault || !entries.some((e) => e.isDefault))
+        entries.forEach((e) => (e.isDefault = e === entry));
+
+      all[userId] = entries;
+      writeAll(all);
+      return { ok: true, entry };
+    }
+
+    function setDefault(userId, id) {
+      const all = readAll();
+      const entries = entriesOf(all, userId);
+      if (!entries.some((e) => e.id === id)) return false;
+      entries.forEach((e) => (e.isDefault = e.id === id));
+      writeAll(all);
+      return true;
+    }
+
+    // Removing the default hands it to the next entry
+    function remove(userId, id) {
+      const all = readAll();
+      const entries = entriesOf(all, userId);
+      const kept = entries.filter((e) => e.id !== id);
+      if (kept.length === entries.length) return false;
+      if (kept.length && !kept.some((e) => e.isDefault))
+        kept[0].isDefault = true;
+      all[userId] = kept;
+      writeAll(all);
+      return true;
+    }
+
+    return { list, get, getDefault, save, setDefault, remove };
+  })();
+
+  window.AddressBook = AddressBook;
+
+  // "Home — 123 Katipunan Ave, Quezon City"
+  function describeAddressEntry(entry) {
+    return `${entry.label} — ${entry.address}, ${entry.city}`;
+  }
+
+  // Copy an entry into a form whose fields are named like ADDRESS_FIELDS
+  function fillAddressFields(form, entry) {
+    ADDRESS_FIELDS.forEach((field) => {
+      const input = form && form.elements.namedItem(field);
+      if (!input) return;
+      input.value = entry[field] || "";
+      clearFieldError(input);
+    });
+  }
+
+  function readAddressFields(form) {
+    const entry = {};
+    ADDRESS_FIELDS.forEach((field) => {
+      const input = form && form.elements.namedItem(field);
+      entry[field] = input ? input.value : "";
+    });
+    return entry;
+  }
+
+  // "Save this address" at checkout; only delivery orders have one
+  function saveCheckoutAddress(userId, form, order) {
+    const box = form && form.querySelector("#saveAddress");
+    if (!box || !box.checked || order.fulfilment !== "delivery") return;
+    const labelEl = form.querySelector("#saveAddressLabel");
+    const entry = readAddressFields(form);
+    entry.label = labelEl ? labelEl.value : "Home";
+    const res = AddressBook.save(userId, entry);
+    if (!res.ok) console.error("saveCheckoutAddress error:", res.errors);
+  }
+
+  // ============================================
+  // CHECKOUT FORM
+  // ============================================
+
+  function bindCheckoutForm() {
+    const attachBindings = (form) => {
+      if (!form) return;
+      if (form.dataset.cincoBound === "1") {
+        console.log("✓ Checkout form already bound.");
+        return;
+      }
+      console.log("✓ Checkout form found — binding.");
+      form.dataset.cincoBound = "1";
+      bindCheckoutValidation(form);
+
+      form.addEventListener("submit", function (e) {
+        e.preventDefault();
+        if (typeof window.handleCheckoutSubmit === "function") {
+          return window.handleCheckoutSubmit(e);
+        }
+        placeOrder(form);
+      });
+    };
+
+    const tryImmediate = () => {
+      const f = document.getElementById("checkoutForm");
+      if (f) {
+        attachBindings(f);
+        return true;
+      }
+      return false;
+    };
+
+    if (!tryImmediate()) {
+      console.log(
+        "bindCheckoutForm: form not present yet; document.readyState=",
+        document.readyState
+      );
+
+      const startObserve = () => {
+        const root = document.documentElement || document.body;
+        if (!root) {
+          setTimeout(startObserve, 150);
+          return;
+        }
+
+        let observerTimeout = null;
+        const observer = new MutationObserver((mutations, obs) => {
+          const f = document.getElementById("checkoutForm");
+          if (f) {
+            attachBindings(f);
+            obs.disconnect();
+            if (observerTimeout) clearTimeout(observerTimeout);
+          }
         });
-        console.log("✓ Cart count updated: 0 (no session)");
-        return;
-      }
 
-      const raw = localStorage.getItem("cincoCart");
-      const allCarts = raw ? JSON.parse(raw) : {};
-      const userCart = allCarts[session.userId] || [];
-      const total = userCart.reduce((sum, p) => sum + (p.qty || 0), 0);
+        observer.observe(root, { childList: true, subtree: true });
 
-      counts.forEach((c) => {
-        c.textContent = total;
-        if (total > 0) {
-          c.style.display = "flex !important";
-          c.style.visibility = "visible";
-          c.style.opacity = "1";
-        } else {
-          c.style.display = "none";
-        }
-      });
+        // Increase timeout to 15 seconds for slower-loading pages
+        observerTimeout = setTimeout(() => {
+          try {
+            observer.disconnect();
+          } catch (e) {}
+          const still = document.getElementById("checkoutForm");
+          if (!still) {
+            console.warn(
+              "Checkout form not found after 15s — observer stopped."
+            );
+          }
+        }, 15000);
+      };
 
-      console.log(
-        "✓ Cart count updated:",
-        total,
-        "for userId:",
-        session.userId
-      );
-    } catch (err) {
-      console.error("updateCartCount error:", err);
+      if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", startObserve, {
+          once: true,
+        });
+      } else {
+        startObserve();
+      }
     }
   }
 
-  function rebuildCartModal() {
-    try {
-      // PRIMARY: Try localStorage first
-      let session = null;
-      try {
-        const raw = localStorage.getItem("cincoSession");
-        if (raw) session = JSON.parse(raw);
-      } catch (e) {}
-
-      // FALLBACK: Try SessionManager
-      if (!session && typeof SessionManager !== "undefined") {
-        session = SessionManager.get();
-      }
-
-      const modalBody = document.querySelector("#cartModal .cart-items");
-      const cartTotal = document.querySelector("#cartModal .cart-total");
-      const cartCountBadge = document.querySelectorAll(".cart-count");
+  // ============================================
+  // RENDER CHECKOUT CART
+  // ============================================
 
-      if (!modalBody) return;
+  function renderCheckoutCart() {
+    try {
+      const container = document.getElementById("checkout-cart");
+      if (!container) return;
 
-      modalBody.innerHTML = "";
+      container.innerHTML = "";
 
-      if (!session || !session.userId) {
-        modalBody.innerHTML =
-          '<p style="padding:20px;text-align:center;color:#666;">Please log in to view cart.</p>';
-        if (cartTotal) cartTotal.textContent = "₱0.00";
-        cartCountBadge.forEach((c) => {
-          c.textContent = "0";
-          c.style.display = "none";
-        });
+      const session = SessionManager.current();
+      if (!session) {
+        container.innerHTML =
+          '<p style="color:#666;padding:12px;">Please log in to see your cart items.</p>';
         return;
       }
 
@@ -1713,748 +5709,1801 @@
       const userCart = allCarts[session.userId] || [];
 
       if (!userCart.length) {
-        modalBody.innerHTML =
-          '<p style="padding:20px;text-align:center;color:#999;">Your cart is empty.</p>';
-        if (cartTotal) cartTotal.textContent = "₱0.00";
-        cartCountBadge.forEach((c) => {
-          c.textContent = "0";
-          c.style.display = "none";
-        });
+        container.innerHTML =
+          '<p style="color:#666;padding:12px;">Your cart is empty.</p>';
         return;
       }
 
+      const list = document.createElement("div");
+      list.className = "checkout-cart-list";
       let grandTotal = 0;
-      let totalQty = 0;
 
-      userCart.forEach((item, idx) => {
-        const price = Number(item.price || 0);
-        const qty = Number(item.qty || 1);
+      userCart.forEach((it, i) => {
+        const price = Number(it.price || 0);
+        const qty = Number(it.qty || 1);
         const itemTotal = price * qty;
         grandTotal += itemTotal;
-        totalQty += qty;
 
-        const imgSrc =
-          item.img ||
-          item.image ||
-          item.dataImg ||
-          item.imgSrc ||
-          item.thumbnail ||
-          item.src ||
-          "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='100' height='100'%3E%3Crect fill='%23ddd' width='100' height='100'/%3E%3Ctext x='50' y='50' font-size='12' fill='%23999' text-anchor='middle' dy='.3em'%3ENo Image%3C/text%3E%3C/svg%3E";
+        const imgSrc = it.img || it.image || "assets/placeholder.png";
 
-        const itemRow = document.createElement("div");
-        itemRow.className = "cart-item";
-        itemRow.style.cssText =
-          "display:flex; align-items:center; gap:14px; padding:12px 16px; border-bottom:1px solid #f0e8df;";
+        const row = document.createElement("div");
+        row.className = "checkout-cart-row";
+        row.style.cssText =
+          "display:flex; gap:12px; align-items:center; padding:12px; border-bottom:1px solid #f0e8df;";
 
-        itemRow.innerHTML = `
-          <div class="cart-item-left" style="display:flex; align-items:center; gap:12px; flex:1;">
-            <div class="cart-item-img">
-              <img src="${imgSrc}" alt="${(item.name || "Product").replace(
+        row.innerHTML = `
+          <div style="width:64px; height:64px; border-radius:8px; overflow:hidden; flex-shrink:0; background:#fff;">
+            <img src="${imgSrc}" alt="${(it.name || "Item").replace(
           /"/g,
           ""
-        )}" />
-            </div>
-            <div class="cart-item-details">
-              <strong class="cart-item-name">${item.name || "Product"}</strong>
-              ${
-                item.size
-                  ? `<div class="cart-item-size">Size: ${item.size}</div>`
-                  : ""
-              }
-              <div class="cart-item-qty-price" style="margin-top:6px; color:#7a6a62;">Qty: ${qty} × ₱${price.toFixed(
-          2
-        )}</div>
-            </div>
+        )}" style="width:100%;height:100%;object-fit:cover;" />
           </div>
-
-          <div class="cart-item-right" style="display:flex; align-items:center; gap:12px; text-align:right;">
-            <div style="font-weight:700; min-width:90px;">₱${itemTotal.toFixed(
-              2
-            )}</div>
-            <button class="remove-item-btn" data-idx="${idx}" aria-label="Remove item" style="background:none;border:none;color:#e76b66;cursor:pointer;padding:6px;">
-              Remove
-            </button>
+          <div style="flex:1;">
+            <div style="font-weight:700;color:var(--dark);">${
+              it.name || "Product"
+            }</div>
+            <div style="font-size:12px;color:var(--muted); margin-top:4px;">${
+              it.size ? `Size: ${it.size} • ` : ""
+            }Qty: ${qty} × ₱${price.toFixed(2)}</div>
+            ${renderLineOptions(it, "checkout-cart")}
           </div>
+          <div style="min-width:90px; text-align:right; font-weight:700; color:var(--brand);">₱${itemTotal.toFixed(
+            2
+          )}</div>
         `;
 
-        modalBody.appendChild(itemRow);
+        list.appendChild(row);
       });
 
-      if (cartTotal) cartTotal.textContent = `₱${grandTotal.toFixed(2)}`;
+      const footer = document.createElement("div");
+      footer.style.cssText =
+        "padding:16px; text-align:right; border-top:2px solid #f0e8df; font-weight:800; font-size:16px; color:var(--brand);";
+      footer.textContent = `Total: ₱${grandTotal.toFixed(2)}`;
+
+      container.appendChild(list);
+      container.appendChild(footer);
 
-      cartCountBadge.forEach((c) => {
-        c.textContent = totalQty;
-        c.style.display = totalQty > 0 ? "flex" : "none";
+      console.log("✓ Checkout cart rendered with", userCart.length, "items");
+    } catch (err) {
+      console.error("renderCheckoutCart error:", err);
+    }
+  }
+
+  // ============================================
+  // CHECKOUT PAGE INITIALIZER
+  // ============================================
+  function initCheckoutPage() {
+    // DON'T wrap in DOMContentLoaded — just run immediately
+
+    const orderItemsContainer = document.querySelector(".order-items");
+    const subtotalEl = document.querySelector(".subtotal-amount");
+    const promoLinesEl = document.querySelector(".promo-lines");
+    const totalEl = document.querySelector(".total-amount");
+    const deliveryFeeEl = document.querySelector(".delivery-fee-amount");
+    const deliveryNoteEl = document.querySelector(".delivery-zone-note");
+    const vatEl = document.querySelector(".order-totals .vat-breakdown");
+    const gcashAmountEl = document.querySelector(".gcash-amount");
+    const placeBtn = document.querySelector(".place-order-btn");
+    const form = document.getElementById("checkoutForm");
+    const mobileUserGreeting = document.getElementById("mobileUserGreeting");
+    const floatingLogout = document.getElementById("floatingLogout");
+
+    // Safety: exit if not on checkout page
+    if (!orderItemsContainer) return;
+
+    const session = SessionManager.current();
+
+    // Guests can fill a cart, but placing an order needs an account
+    if (!session) {
+      showNotification("Please log in to checkout", 2500, "warning");
+      setTimeout(
+        () => (window.location.href = "logSign.html?next=checkout.html"),
+        800
+      );
+    }
+
+    // Show user greeting if session available
+    if (session && session.name && mobileUserGreeting) {
+      mobileUserGreeting.textContent = `Hello, ${session.name}`;
+      mobileUserGreeting.style.fontWeight = "500";
+      if (floatingLogout) floatingLogout.style.display = "";
+    }
+
+    function renderCartFromStorage() {
+      if (!orderItemsContainer) return;
+      orderItemsContainer.innerHTML = "";
+      let subtotal = 0;
+
+      // READ cart data
+      const raw = localStorage.getItem("cincoCart");
+      const allCarts = raw ? JSON.parse(raw) : {};
+
+      // GET current session
+      const userId = session ? session.userId : null;
+      const userCart = userId ? allCarts[userId] || [] : [];
+
+      console.log(
+        "✓ Checkout render - userId:",
+        userId,
+        "Items in cart:",
+        userCart.length
+      );
+
+      if (!userCart || userCart.length === 0) {
+        orderItemsContainer.innerHTML =
+          "<p style='color:#999; padding:20px;'>Your cart is empty.</p>";
+        if (subtotalEl) subtotalEl.textContent = "0.00";
+        renderPromoLines(promoLinesEl, []);
+        renderDeliveryQuote({ status: "empty", fee: 0 });
+        renderVatBreakdown(vatEl, null);
+        if (totalEl) totalEl.textContent = "0.00";
+        if (gcashAmountEl) gcashAmountEl.textContent = "0.00";
+        return;
+      }
+
+      // Render each item
+      userCart.forEach((item) => {
+        const price = Number(item.price || 0);
+        const qty = Number(item.qty || 1);
+        const itemTotal = price * qty;
+        subtotal += itemTotal;
+
+        const wrapper = document.createElement("div");
+        wrapper.className = "order-item";
+        wrapper.style.cssText = `
+          display: flex;
+          align-items: center;
+          padding: 12px;
+          border-bottom: 1px solid #eee;
+          gap: 12px;
+        `;
+        const name = escapeHtml(item.name || "");
+        wrapper.innerHTML = `
+          <img src="${escapeHtml(
+            item.img || "assets/placeholder.png"
+          )}" alt="${name}" 
+               style="width:80px; height:80px; object-fit:cover; border-radius:6px;" />
+          <div style="flex:1;">
+            <div style="font-weight:600; margin-bottom:4px;">${name}</div>
+            ${
+              item.size
+                ? `<div style="font-size:12px; color:#999;">Size: ${escapeHtml(
+                    item.size
+                  )}</div>`
+                : ""
+            }
+            ${renderLineOptions(item, "order-item")}
+            <div style="font-size:14px; color:#666;">Qty: ${qty} × ₱${price.toFixed(
+          2
+        )}</div>
+          </div>
+          <div style="text-align:right; font-weight:600;">
+            ₱${itemTotal.toFixed(2)}
+          </div>
+        `;
+        orderItemsContainer.appendChild(wrapper);
       });
 
-      modalBody.querySelectorAll(".remove-item-btn").forEach((btn) => {
-        btn.onclick = (e) => {
-          e.preventDefault();
-          const idx = Number(btn.getAttribute("data-idx"));
-          removeFromCart(idx);
-        };
+      // Update totals
+      const totals = computeOrderTotals(userCart, {
+        userId,
+        voucherCode: appliedVoucherCode,
+        area: readDeliveryArea(form),
       });
+      if (appliedVoucherCode && !totals.voucher) {
+        // cart changed under the code (e.g. below minimum spend)
+        appliedVoucherCode = null;
+        showFormMessage("promoCode", `❌ ${totals.voucherError}`, "error");
+        syncPromoCodeUI();
+      }
+      renderPromoLines(promoLinesEl, discountRows(totals));
+      renderDeliveryQuote(totals.delivery);
+      renderVatBreakdown(vatEl, totals.tax);
+      const total = totals.total;
+      if (subtotalEl) subtotalEl.textContent = subtotal.toFixed(2);
+      if (totalEl) totalEl.textContent = total.toFixed(2);
+      if (gcashAmountEl) gcashAmountEl.textContent = total.toFixed(2);
 
       console.log(
-        "✓ Cart modal rebuilt with",
-        userCart.length,
-        "items, total qty:",
-        totalQty
+        "✓ Cart rendered - Subtotal: ₱" +
+          subtotal.toFixed(2) +
+          ", Total: ₱" +
+          total.toFixed(2)
       );
-    } catch (err) {
-      console.error("rebuildCartModal error:", err);
     }
-  }
 
-  function removeFromCart(index) {
-    try {
-      const session = SessionManager.get();
-      if (!session || !session.userId) return;
+    // Delivery fee row + zone note; out-of-area addresses block the order
+    function renderDeliveryQuote(delivery) {
+      let fee = "—";
+      let note = "";
+      if (delivery.status === "empty") {
+        fee = "₱0.00";
+      } else if (delivery.status === "pickup") {
+        fee = "₱0.00";
+        note = "🛍️ Pickup at a pop-up store — no delivery fee";
+      } else if (delivery.status === "pending") {
+        note = "Enter your city or ZIP code to see the delivery fee.";
+      } else if (delivery.status === "unserviceable") {
+        note = "❌ Sorry, we don't deliver to this address yet.";
+      } else if (delivery.free) {
+        fee = "FREE";
+        note = `🎉 Free delivery to ${delivery.zone.name}`;
+      } else {
+        fee = `₱${delivery.fee.toFixed(2)}`;
+        note = `${delivery.zone.name} — add ₱${delivery.remaining.toFixed(
+          2
+        )} more for free delivery (₱${FREE_DELIVERY_THRESHOLD}+)`;
+      }
 
-      const raw = localStorage.getItem("cincoCart");
-      const allCarts = raw ? JSON.parse(raw) : {};
-      const userCart = allCarts[session.userId] || [];
+      if (deliveryFeeEl) deliveryFeeEl.textContent = fee;
+      if (deliveryNoteEl) {
+        deliveryNoteEl.textContent = note;
+        deliveryNoteEl.style.display = note ? "" : "none";
+        deliveryNoteEl.classList.toggle(
+          "unserviceable",
+          delivery.status === "unserviceable"
+        );
+      }
+      // never re-enable the button while an order is being placed
+      if (placeBtn && !placeBtn.classList.contains("is-busy"))
+        placeBtn.disabled = delivery.status === "unserviceable";
+    }
 
-      userCart.splice(index, 1);
-      allCarts[session.userId] = userCart;
-      localStorage.setItem("cincoCart", JSON.stringify(allCarts));
+    // Fee follows the address as it is typed
+    ["city", "zip"].forEach((id) => {
+      const input = form && form.querySelector(`#${id}`);
+      if (input) input.addEventListener("input", renderCartFromStorage);
+    });
 
-      showNotification("Item removed from cart", 1000);
-      updateCartCount();
-      rebuildCartModal();
-    } catch (err) {
-      console.error("removeFromCart error:", err);
+    // Delivery / pickup selector: pickup swaps the address fields for a
+    // pop-up store and date
+    const deliveryFields = form && form.querySelector(".delivery-fields");
+    const pickupFields = form && form.querySelector(".pickup-fields");
+    const pickupLocationEl = document.getElementById("pickupLocation");
+    const pickupDateEl = document.getElementById("pickupDate");
+    const pickupAddressEl = document.querySelector(".pickup-location-address");
+    const pickupEmptyEl = document.querySelector(".pickup-empty");
+    const fulfilmentInputs = form
+      ? Array.from(form.querySelectorAll('input[name="fulfilment"]'))
+      : [];
+
+    function renderPickupDates() {
+      if (!pickupDateEl) return;
+      const popup = PickupLocations.get(pickupLocationEl.value);
+      pickupDateEl.innerHTML = PickupLocations.pickupDates(popup)
+        .map(
+          (date) =>
+            `<option value="${escapeHtml(date)}">${escapeHtml(
+              PickupLocations.formatDate(date)
+            )}</option>`
+        )
+        .join("");
+      if (pickupAddressEl)
+        pickupAddressEl.textContent = popup ? `📍 ${popup.address}` : "";
+      renderScheduleDays();
     }
-  }
 
-  function updateCartUI() {
-    updateCartCount();
-    rebuildCartModal();
-  }
+    function renderPickupLocations() {
+      if (!pickupLocationEl) return;
+      const popups = PickupLocations.active();
+      pickupLocationEl.innerHTML = popups
+        .map(
+          (p) =>
+            `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`
+        )
+        .join("");
+      if (pickupEmptyEl)
+        pickupEmptyEl.style.display = popups.length ? "none" : "";
+      if (pickupLocationEl.closest(".form-row"))
+        pickupLocationEl.closest(".form-row").style.display = popups.length
+          ? ""
+          : "none";
+      renderPickupDates();
+    }
 
-  // ============================================
-  // CART MODAL FUNCTIONS
-  // ============================================
+    function syncFulfilmentUI() {
+      const fulfilment = readFulfilment(form);
+      fulfilmentInputs.forEach((input) => {
+        const option = input.closest(".fulfilment-option");
+        if (option) option.classList.toggle("active", input.checked);
+      });
+      if (deliveryFields)
+        deliveryFields.style.display = fulfilment === "pickup" ? "none" : "";
+      if (pickupFields)
+        pickupFields.style.display = fulfilment === "pickup" ? "" : "none";
+      renderScheduleDays();
+      renderCartFromStorage();
+    }
 
-  function openCartModal() {
-    const modal = document.getElementById("cartModal");
-    const overlay = document.querySelector(".overlay");
-    const cartBtn = document.querySelector(".cart-btn");
+    fulfilmentInputs.forEach((input) =>
+      input.addEventListener("change", syncFulfilmentUI)
+    );
+    if (pickupLocationEl)
+      pickupLocationEl.addEventListener("change", renderPickupDates);
+    if (pickupDateEl)
+      pickupDateEl.addEventListener("change", renderScheduleDays);
+    PickupLocations.load()
+      .then(renderPickupLocations)
+      .catch(() => {
+        if (pickupEmptyEl) pickupEmptyEl.style.display = "";
+      });
 
-    if (modal) {
-      modal.classList.add("active");
-      modal.setAttribute("aria-hidden", "false");
-      modal.style.display = "flex";
-      modal.style.transform = "translateX(0)";
-    }
-    if (overlay) {
-      overlay.classList.add("active");
-      overlay.style.display = "block";
-      overlay.style.pointerEvents = "auto";
-      overlay.style.opacity = "1";
-    }
-    if (cartBtn) {
-      cartBtn.classList.add("behind-modal");
-      cartBtn.style.zIndex = "800";
-      cartBtn.style.pointerEvents = "none";
-      cartBtn.style.opacity = "0";
+    // ASAP or a later slot within BUSINESS_HOURS; the chosen time is shown
+    // in the order summary
+    const scheduleFields = form && form.querySelector(".schedule-fields");
+    const scheduleDayEl = document.getElementById("scheduleDay");
+    const scheduleSlotEl = document.getElementById("scheduleSlot");
+    const scheduleNoteEl = document.querySelector(".schedule-note");
+    const orderSlotEl = document.querySelector(".order-slot");
+    const timingInputs = form
+      ? Array.from(form.querySelectorAll('input[name="timing"]'))
+      : [];
+
+    // Pickup orders can only be scheduled on the pop-up day
+    function scheduleDays() {
+      if (readFulfilment(form) !== "pickup") return OrderSchedule.days();
+      const day = pickupDateEl ? pickupDateEl.value : "";
+      return day && OrderSchedule.slotsOn(day).some((s) => s.available)
+        ? [day]
+        : [];
     }
 
-    console.log("✓ Cart modal opened");
-  }
+    function renderScheduleDays() {
+      if (!scheduleDayEl) return;
+      const previous = scheduleDayEl.value;
+      const days = scheduleDays();
+      scheduleDayEl.innerHTML = days
+        .map(
+          (day) =>
+            `<option value="${escapeHtml(day)}">${escapeHtml(
+              OrderSchedule.formatDay(day)
+            )}</option>`
+        )
+        .join("");
+      if (days.includes(previous)) scheduleDayEl.value = previous;
+      renderScheduleSlots();
+    }
 
-  function closeCartModal() {
-    const modal = document.getElementById("cartModal");
-    const overlay = document.querySelector(".overlay");
-    const cartBtn = document.querySelector(".cart-btn");
+    function renderScheduleSlots() {
+      if (!scheduleSlotEl) return;
+      const previous = scheduleSlotEl.value;
+      const slots = scheduleDayEl.value
+        ? OrderSchedule.slotsOn(scheduleDayEl.value).filter((s) => !s.passed)
+        : [];
+      scheduleSlotEl.innerHTML = slots
+        .map((slot) => {
+          const label = `${OrderSchedule.formatTime(
+            slot.start
+          )} – ${OrderSchedule.formatTime(slot.end)}`;
+          const extra = !slot.available
+            ? " (fully booked)"
+            : slot.remaining <= 2
+            ? ` (${slot.remaining} left)`
+            : "";
+          return `<option value="${escapeHtml(slot.start)}"${
+            slot.available ? "" : " disabled"
+          }>${escapeHtml(label + extra)}</option>`;
+        })
+        .join("");
+      const keep =
+        slots.find((s) => s.start === previous && s.available) ||
+        slots.find((s) => s.available);
+      if (keep) scheduleSlotEl.value = keep.start;
+      renderScheduleSummary();
+    }
 
-    if (modal) {
-      modal.classList.remove("active");
-      modal.setAttribute("aria-hidden", "true");
-      modal.style.transform = "translateX(100%)";
+    function renderScheduleSummary() {
+      const timing = readTiming(form);
+      timingInputs.forEach((input) => {
+        const option = input.closest(".timing-option");
+        if (option) option.classList.toggle("active", input.checked);
+      });
+      if (scheduleFields)
+        scheduleFields.style.display = timing === "later" ? "" : "none";
+
+      const res = resolveOrderSchedule(form);
+      let slotText = "—";
+      let note = "";
+      if (!res.ok) {
+        note = `⚠️ ${res.msg}`;
+      } else if (timing === "later") {
+        slotText = OrderSchedule.formatSlot(res.schedule);
+      } else if (res.schedule.autoScheduled) {
+        slotText = OrderSchedule.formatSlot(res.schedule);
+        note = OrderSchedule.isOpen()
+          ? "🗓️ ASAP pickups get the first time slot on the pickup day."
+          : "🌙 We're closed right now — ASAP orders are scheduled for the next opening.";
+      } else {
+        slotText = `ASAP (ready around ${OrderSchedule.formatTime(
+          res.schedule.start
+        )})`;
+      }
+      if (orderSlotEl) orderSlotEl.textContent = slotText;
+      if (scheduleNoteEl) {
+        scheduleNoteEl.textContent = note;
+        scheduleNoteEl.style.display = note ? "" : "none";
+      }
     }
-    if (overlay) {
-      overlay.classList.remove("active");
-      overlay.style.pointerEvents = "none";
-      overlay.style.opacity = "0";
+
+    timingInputs.forEach((input) =>
+      input.addEventListener("change", renderScheduleSummary)
+    );
+    if (scheduleDayEl)
+      scheduleDayEl.addEventListener("change", renderScheduleSlots);
+    if (scheduleSlotEl)
+      scheduleSlotEl.addEventListener("change", renderScheduleSummary);
+    renderScheduleDays();
+    // Slots close as time passes; keep the picker current
+    clearInterval(scheduleRefreshId);
+    scheduleRefreshId = setInterval(renderScheduleDays, 60000);
+
+    // Payment method: highlight the choice and show its card / GCash fields
+    const paymentInputs = form
+      ? Array.from(form.querySelectorAll('input[name="payment"]'))
+      : [];
+    const paymentPanels = form
+      ? Array.from(form.querySelectorAll(".payment-panel"))
+      : [];
+
+    function syncPaymentUI() {
+      const method = readPaymentMethod(form);
+      paymentInputs.forEach((input) => {
+        const option = input.closest(".payment-method");
+        if (option) option.classList.toggle("active", input.checked);
+      });
+      paymentPanels.forEach((panel) => {
+        panel.style.display = panel.dataset.method === method ? "" : "none";
+      });
     }
-    if (cartBtn) {
-      cartBtn.classList.remove("behind-modal");
-      cartBtn.style.zIndex = "";
-      cartBtn.style.pointerEvents = "";
-      cartBtn.style.opacity = "";
+
+    paymentInputs.forEach((input) =>
+      input.addEventListener("change", syncPaymentUI)
+    );
+    syncPaymentUI();
+
+    // Group card digits in fours as they are typed
+    const cardNumberEl = document.getElementById("cardNumber");
+    if (cardNumberEl) {
+      cardNumberEl.addEventListener("input", () => {
+        const digits = cardNumberEl.value.replace(/\D/g, "").slice(0, 19);
+        cardNumberEl.value = digits.replace(/(\d{4})(?=\d)/g, "$1 ");
+      });
     }
 
-    setTimeout(() => {
-      try {
-        if (modal) modal.style.display = "none";
-        if (overlay) overlay.style.display = "none";
-      } catch (e) {}
-    }, 320);
+    // Promo code entry in the order summary
+    const promoInput = document.getElementById("promoCode");
+    const promoBtn = document.querySelector(".promo-apply-btn");
 
-    console.log("✓ Cart modal closed");
-  }
+    function syncPromoCodeUI() {
+      if (!promoInput || !promoBtn) return;
+      promoInput.value = appliedVoucherCode || promoInput.value;
+      promoInput.readOnly = !!appliedVoucherCode;
+      promoBtn.textContent = appliedVoucherCode ? "Remove" : "Apply";
+    }
 
-  // ============================================
-  // BIND PRODUCT BUTTONS
-  // ============================================
+    function applyPromoCode() {
+      if (appliedVoucherCode) {
+        appliedVoucherCode = null;
+        promoInput.value = "";
+        showFormMessage("promoCode", "Promo code removed", "info", 2000);
+        syncPromoCodeUI();
+        renderCartFromStorage();
+        return;
+      }
 
-  function bindProductButtons() {
-    console.log("✓ Binding product buttons...");
+      const raw = localStorage.getItem("cincoCart");
+      const allCarts = raw ? JSON.parse(raw) : {};
+      const userId = session ? session.userId : null;
+      const res = VoucherStore.validate(promoInput.value, {
+        userId,
+        lines: userId ? allCarts[userId] || [] : [],
+      });
+      if (!res.ok) {
+        showFormMessage("promoCode", `❌ ${res.msg}`, "error");
+        return;
+      }
 
-    const overlay = document.querySelector(".overlay");
-    if (overlay) {
-      overlay.style.pointerEvents = "none";
+      appliedVoucherCode = res.voucher.code;
+      showFormMessage(
+        "promoCode",
+        `✅ ${res.voucher.code} applied — ${res.voucher.description}`,
+        "success"
+      );
+      syncPromoCodeUI();
+      renderCartFromStorage();
     }
 
-    document.querySelectorAll(".add-to-cart-btn").forEach((btn) => {
-      if (btn.__cincoBound) return;
-      btn.__cincoBound = true;
-      btn.style.pointerEvents = "auto";
-      btn.style.cursor = "pointer";
-
-      btn.addEventListener("click", (e) => {
+    if (promoInput && promoBtn) {
+      promoBtn.addEventListener("click", (e) => {
         e.preventDefault();
-        e.stopPropagation();
+        applyPromoCode();
+      });
+      promoInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          applyPromoCode();
+        }
+      });
+    }
 
-        const name =
-          btn.getAttribute("data-name") || btn.textContent.trim() || "Product";
-        const price = parseFloat(btn.getAttribute("data-price")) || 0;
-        const size = btn.getAttribute("data-size") || "Standard";
-        const img = btn.getAttribute("data-img") || "assets/default.png";
+    // Address book: the default address prefills an empty form, the picker
+    // switches between saved ones, and "Save this address" adds the one
+    // typed in when the order goes through
+    const savedAddressEl = document.getElementById("savedAddress");
+    const savedAddressesEl = document.querySelector(".saved-addresses");
+    const saveAddressOptionEl = document.querySelector(".save-address-option");
+    const saveAddressEl = document.getElementById("saveAddress");
+    const saveAddressLabelEl = document.getElementById("saveAddressLabel");
+    const bookUserId = session && session.userId ? session.userId : null;
+
+    function renderSavedAddresses() {
+      const entries = AddressBook.list(bookUserId);
+      if (savedAddressesEl)
+        savedAddressesEl.style.display = entries.length ? "" : "none";
+      if (saveAddressOptionEl)
+        saveAddressOptionEl.style.display = bookUserId ? "" : "none";
+      if (!savedAddressEl) return entries;
+      savedAddressEl.innerHTML =
+        '<option value="">Enter a new address</option>' +
+        entries
+          .map(
+            (e) =>
+              `<option value="${escapeHtml(e.id)}">${escapeHtml(
+                describeAddressEntry(e)
+              )}${e.isDefault ? " (default)" : ""}</option>`
+          )
+          .join("");
+      return entries;
+    }
 
-        const id = `${name.replace(/\s+/g, "-")}-${size}`;
+    function applySavedAddress(id) {
+      const entry = AddressBook.get(bookUserId, id);
+      if (entry) {
+        fillAddressFields(form, entry);
+        if (saveAddressEl) saveAddressEl.checked = false;
+        if (saveAddressLabelEl) saveAddressLabelEl.value = entry.label;
+      } else {
+        fillAddressFields(
+          form,
+          Object.assign(readAddressFields(form), {
+            address: "",
+            city: "",
+            zip: "",
+          })
+        );
+      }
+      renderCartFromStorage();
+    }
 
-        const item = { id, name, price, qty: 1, size, img };
-        console.log("Adding item:", item);
-        addToCart(item);
+    if (form && bookUserId) {
+      renderSavedAddresses();
+      const fallback = AddressBook.getDefault(bookUserId);
+      const untouched = ADDRESS_FIELDS.every((field) => {
+        const input = form.elements.namedItem(field);
+        return !input || !input.value.trim();
       });
-    });
-
-    const cartBtn = document.querySelector(".cart-btn");
-    if (cartBtn) {
-      cartBtn.style.pointerEvents = "auto";
-      cartBtn.style.cursor = "pointer";
-      if (!cartBtn.__cincoCartBound) {
-        cartBtn.__cincoCartBound = true;
-        cartBtn.addEventListener("click", (e) => {
-          e.stopPropagation();
-          if (!isUserLoggedIn()) {
-            showNotification("Please log in first", 2500);
-            setTimeout(() => (window.location.href = "logSign.html"), 600);
-            return;
-          }
-          openCartModal();
-          rebuildCartModal();
-        });
+      if (fallback && untouched && savedAddressEl) {
+        savedAddressEl.value = fallback.id;
+        applySavedAddress(fallback.id);
       }
+      if (savedAddressEl)
+        savedAddressEl.addEventListener("change", () =>
+          applySavedAddress(savedAddressEl.value)
+        );
     }
 
-    const closeBtn = document.querySelector(".close-cart");
-    if (closeBtn && !closeBtn.__cincoBound) {
-      closeBtn.__cincoBound = true;
-      closeBtn.addEventListener("click", closeCartModal);
-    }
+    // Render cart immediately (page is already loaded); prices are
+    // verified against the catalog when the order is placed
+    renderCartFromStorage();
+    Catalog.load().catch(() => {});
 
-    if (overlay && !overlay.__cincoClickBound) {
-      overlay.__cincoClickBound = true;
-      overlay.addEventListener("click", closeCartModal);
-    }
+    // Keep the summary in sync with quantity edits made in another tab
+    window.addEventListener("storage", (e) => {
+      if (e.key === "cincoCart") renderCartFromStorage();
+    });
 
-    console.log("✓ Product buttons bound successfully");
+    // The button sits outside the form; route clicks through the form's
+    // submit listener (bindCheckoutForm -> placeOrder)
+    if (placeBtn && form) {
+      placeBtn.addEventListener("click", () => {
+        if (typeof form.requestSubmit === "function") form.requestSubmit();
+        else form.dispatchEvent(new Event("submit", { cancelable: true }));
+      });
+    }
   }
 
   // ============================================
-  // LOGOUT HANDLER
+  // MY ORDERS PAGE
   // ============================================
 
-  function bindLogoutButton() {
-    const logoutBtn = document.getElementById("logoutBtn");
-    if (!logoutBtn) return;
-
-    if (logoutBtn.__cincoBound) return;
-    logoutBtn.__cincoBound = true;
-
-    logoutBtn.addEventListener("click", (e) => {
-      e.preventDefault();
-
-      // Clear session
-      try {
-        localStorage.removeItem("cincoSession");
-        localStorage.removeItem("cincoCart");
-        if (
-          window.SessionManager &&
-          typeof window.SessionManager.clear === "function"
-        ) {
-          window.SessionManager.clear();
-        }
-      } catch (err) {}
-
-      console.log("✓ User logged out");
-      showNotification("👋 Logged out successfully", 2000, "info");
-
-      // Update UI
-      updateUserHeaderUI();
-      updateCartCount();
-
-      // Redirect to home
-      setTimeout(() => {
-        window.location.href = "index.html";
-      }, 500);
+  function formatOrderDate(iso) {
+    const d = new Date(iso);
+    if (isNaN(d.getTime())) return "";
+    return d.toLocaleString("en-PH", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
     });
   }
 
-  // ============================================
-  // CHECKOUT BUTTON
-  // ============================================
-
-  function bindCheckoutButton() {
-    const btn = document.querySelector(".checkout-btn");
-    if (!btn) return;
-    if (btn.__cincoBound) return;
-    btn.__cincoBound = true;
-
-    btn.addEventListener("click", (e) => {
-      e.preventDefault();
-      if (!isUserLoggedIn()) {
-        showNotification("Please log in to checkout", 2500, "warning");
-        setTimeout(() => (window.location.href = "logSign.html"), 800);
-        return;
-      }
-
-      // DO NOT check/alert cart emptiness here — handle it on checkout page
-      closeCartModal();
-      setTimeout(() => {
-        window.location.href = "checkout.html";
-      }, 200);
-    });
+  function renderStatusBadge(order) {
+    const status = OrderTracker.statusOf(order);
+    return `<span class="order-status-badge status-${escapeHtml(
+      status
+    )}">${escapeHtml(ORDER_STATUSES[status] || status)}</span>`;
   }
 
-  // ============================================
-  // CHECKOUT FORM
-  // ============================================
+  // Timeline of the order's steps; reached steps show when they happened
+  function renderOrderTimeline(order) {
+    const history = OrderTracker.historyOf(order);
+    const current = OrderTracker.statusOf(order);
+    const steps = OrderTracker.stepsFor(order);
+    const reachedAt = {};
+    history.forEach((h) => (reachedAt[h.status] = h.at));
+    const currentIdx = steps.indexOf(current);
+
+    const items = steps
+      .map((step, i) => {
+        const state =
+          i < currentIdx ? "done" : i === currentIdx ? "current" : "pending";
+        const at = reachedAt[step];
+        return `
+          <li class="order-timeline-step ${state}${
+          step === "cancelled" ? " cancelled" : ""
+        }">
+            <span class="order-timeline-label">${escapeHtml(
+              ORDER_STATUSES[step] || step
+            )}</span>
+            ${
+              at && state !== "pending"
+                ? `<time datetime="${escapeHtml(at)}">${escapeHtml(
+                    formatOrderDate(at)
+                  )}</time>`
+                : ""
+            }
+          </li>`;
+      })
+      .join("");
 
-  function bindCheckoutForm() {
-    const restoreSession = () => {
-      try {
-        const raw = localStorage.getItem("cincoSession");
-        if (
-          raw &&
-          window.SessionManager &&
-          typeof window.SessionManager.set === "function"
-        ) {
-          const session = JSON.parse(raw);
-          window.SessionManager.set(session);
-        }
-      } catch (e) {
-        console.warn("Could not restore session:", e);
-      }
-    };
+    return `<ol class="order-timeline" aria-label="Order status">${items}</ol>`;
+  }
 
-    restoreSession();
+  // Staff-only buttons (orders.html?staff=1) for the allowed next statuses
+  function renderStaffControls(order) {
+    const next = ORDER_TRANSITIONS[OrderTracker.statusOf(order)] || [];
+    const handoff =
+      order.fulfilment === "pickup" ? "out-for-delivery" : "ready-for-pickup";
+    const buttons = next
+      .filter((status) => status !== handoff)
+      .map(
+        (status) =>
+          `<button type="button" class="btn order-staff-btn" data-status="${escapeHtml(
+            status
+          )}">${escapeHtml(ORDER_STATUSES[status])}</button>`
+      )
+      .join("");
+    return buttons
+      ? `<div class="order-staff-controls"><span>Staff:</span>${buttons}</div>`
+      : "";
+  }
 
-    const attachBindings = (form) => {
-      if (!form) return;
-      if (form.dataset.cincoBound === "1") {
-        console.log("✓ Checkout form already bound.");
-        return;
-      }
-      console.log("✓ Checkout form found — binding.");
-      form.dataset.cincoBound = "1";
+  // "Credit/Debit Card — Visa •••• 4242 (paid)"
+  function describePayment(order) {
+    const label = PAYMENT_LABELS[order.payment] || order.payment || "";
+    const p = order.paymentDetails;
+    if (!p) return label;
+    const detail =
+      p.method === "card"
+        ? `${p.brand} •••• ${p.last4}`
+        : p.method === "gcash"
+        ? `Ref. ${p.reference}`
+        : "";
+    const status = p.status === "paid" ? "paid" : "pay on hand-over";
+    return `${label}${detail ? ` — ${detail}` : ""} (${status})`;
+  }
 
-      form.addEventListener("submit", function (e) {
-        e.preventDefault();
-        if (typeof window.handleCheckoutSubmit === "function") {
-          return window.handleCheckoutSubmit(e);
+  function renderOrderSummaryCard(order) {
+    const count = order.items.reduce((n, it) => n + Number(it.qty || 0), 0);
+    return `
+      <article class="order-card" data-order="${escapeHtml(order.orderNumber)}">
+        <div class="order-card-head">
+          <div>
+            <strong>Order #${escapeHtml(order.orderNumber)}</strong>
+            ${renderStatusBadge(order)}
+            <div class="order-card-date">${escapeHtml(
+              formatOrderDate(order.placedAt)
+            )}</div>
+          </div>
+          <div class="order-card-total">₱${Number(order.total).toFixed(2)}</div>
+        </div>
+        <div class="order-card-items">${count} item${
+      count === 1 ? "" : "s"
+    }: ${order.items.map((it) => escapeHtml(it.name)).join(", ")}</div>
+        <div class="order-card-actions">
+          <button type="button" class="btn order-view-btn" data-order="${escapeHtml(
+            order.orderNumber
+          )}">View details</button>
+          <button type="button" class="btn btn-accent order-reorder-btn" data-order="${escapeHtml(
+            order.orderNumber
+          )}">Reorder</button>
+        </div>
+      </article>`;
+  }
+
+  function renderOrderDetail(order, staffMode) {
+    const d = order.delivery || {};
+    const pickup = order.fulfilment === "pickup" ? order.pickup : null;
+    const rows = order.items
+      .map(
+        (it) => `
+          <div class="order-detail-line">
+            <div>
+              <strong>${escapeHtml(it.name)}</strong>${
+          it.size
+            ? ` <span class="order-detail-size">(${escapeHtml(it.size)})</span>`
+            : ""
+        }
+              <div class="order-detail-qty">Qty: ${Number(it.qty)} × ₱${Number(
+          it.price
+        ).toFixed(2)}</div>
+              ${renderLineOptions(it, "order-detail")}
+            </div>
+            <div class="order-detail-amount">₱${(
+              Number(it.price) * Number(it.qty)
+            ).toFixed(2)}</div>
+          </div>`
+      )
+      .join("");
+
+    const discounts = (order.discounts || [])
+      .map(
+        (p) => `
+          <div class="order-total-row promo-row">
+            <span>${escapeHtml(p.title)}</span>
+            <span>−₱${Number(p.discount).toFixed(2)}</span>
+          </div>`
+      )
+      .join("");
+
+    return `
+      <div class="order-detail-head">
+        <h2>Order #${escapeHtml(order.orderNumber)}</h2>
+        <button type="button" class="order-detail-close" aria-label="Close order details">✕</button>
+      </div>
+      <p class="order-card-date">Placed ${escapeHtml(
+        formatOrderDate(order.placedAt)
+      )}</p>
+      ${
+        order.schedule
+          ? `<p class="order-detail-schedule">🕒 ${escapeHtml(
+              order.schedule.timing === "later" || order.schedule.autoScheduled
+                ? `Scheduled for ${OrderSchedule.formatSlot(order.schedule)}`
+                : `ASAP — ready around ${OrderSchedule.formatTime(
+                    order.schedule.start
+                  )}`
+            )}</p>`
+          : ""
+      }
+      ${renderOrderTimeline(order)}
+      ${staffMode ? renderStaffControls(order) : ""}
+      <div class="order-detail-lines">${rows}</div>
+      <div class="order-totals">
+        <div class="order-total-row"><span>Subtotal:</span><span>₱${Number(
+          order.subtotal
+        ).toFixed(2)}</span></div>
+        ${discounts}
+        <div class="order-total-row"><span>Delivery Fee:</span><span>₱${Number(
+          order.deliveryFee
+        ).toFixed(2)}</span></div>
+        <div class="order-total-row order-detail-grand"><span>Total:</span><span>₱${Number(
+          order.total
+        ).toFixed(2)}</span></div>
+      </div>
+      <div class="order-detail-delivery">
+        <h3>${pickup ? "Pickup" : "Delivery"}</h3>
+        <p>${escapeHtml(d.name || "")}<br />${escapeHtml(d.phone || "")}</p>
+        ${
+          pickup
+            ? `<p><strong>${escapeHtml(pickup.name)}</strong><br />${escapeHtml(
+                pickup.address
+              )}<br />${escapeHtml(
+                PickupLocations.formatDate(pickup.date)
+              )}</p>`
+            : `<p>${escapeHtml(d.address || "")}<br />${escapeHtml(
+                [d.city, d.zip].filter(Boolean).join(" ")
+              )}</p>`
         }
+        ${
+          d.notes
+            ? `<p class="order-detail-notes">Notes: ${escapeHtml(d.notes)}</p>`
+            : ""
+        }
+        <p><strong>Payment:</strong> ${escapeHtml(describePayment(order))}</p>
+      </div>
+      <div class="order-detail-actions">
+        <button type="button" class="btn btn-accent order-reorder-btn" data-order="${escapeHtml(
+          order.orderNumber
+        )}">Reorder</button>
+        <a class="btn order-receipt-link" href="receipt.html?order=${encodeURIComponent(
+          order.orderNumber
+        )}"><i class="fas fa-receipt"></i> Receipt</a>
+      </div>`;
+  }
 
-        const successModal = document.getElementById("orderSuccessModal");
-        const orderNumberEl = document.getElementById("orderNumber");
-        const raw = localStorage.getItem("cincoCart");
-        const allCarts = raw ? JSON.parse(raw) : {};
-        const session =
-          window.SessionManager &&
-          typeof window.SessionManager.get === "function"
-            ? window.SessionManager.get()
-            : JSON.parse(localStorage.getItem("cincoSession") || "{}");
+  function initOrdersPage() {
+    const listEl = document.getElementById("ordersList");
+    const detailEl = document.getElementById("orderDetail");
+    if (!listEl) return;
 
-        const userId = session && session.userId ? session.userId : null;
-        const userCart = userId ? allCarts[userId] || [] : [];
+    const session = SessionManager.current();
 
-        if (!userCart || userCart.length === 0) {
-          showNotification(
-            "Your cart is empty. Please add items before placing an order.",
-            3000,
-            "warning"
-          );
-          return;
-        }
+    if (!session) {
+      listEl.innerHTML =
+        '<p class="orders-empty">Please <a href="logSign.html?next=orders.html">log in</a> to see your orders.</p>';
+      return;
+    }
 
-        const orderNum = Math.floor(100000 + Math.random() * 900000).toString();
-
-        if (orderNumberEl) orderNumberEl.textContent = orderNum;
-
-        if (successModal) {
-          successModal.style.zIndex = "100000";
-          successModal.style.position = "fixed";
-          successModal.style.top = "0";
-          successModal.style.left = "0";
-          successModal.style.width = "100%";
-          successModal.style.height = "100%";
-          successModal.style.display = "flex";
-          successModal.style.alignItems = "center";
-          successModal.style.justifyContent = "center";
-          successModal.style.backgroundColor = "rgba(0,0,0,0.5)";
-          successModal.classList.add("active");
-        }
+    const staffMode =
+      new URLSearchParams(window.location.search).get("staff") === "1";
+    let lastSignature = "";
+    let pollId = null;
 
-        if (userId) {
-          delete allCarts[userId];
-          localStorage.setItem("cincoCart", JSON.stringify(allCarts));
-          updateCartCount();
-        }
+    function currentOrderNumber() {
+      return window.location.hash.slice(1);
+    }
 
-        showNotification(
-          `✅ Order #${orderNum} placed successfully!`,
-          2000,
-          "success"
-        );
+    function showDetail(orderNumber, scroll = true) {
+      const order = OrderHistory.get(session.userId, orderNumber);
+      if (!detailEl) return;
+      if (!order) {
+        detailEl.innerHTML = "";
+        detailEl.style.display = "none";
+        return;
+      }
+      detailEl.innerHTML = renderOrderDetail(order, staffMode);
+      detailEl.style.display = "block";
+      if (scroll)
+        detailEl.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
 
-        setTimeout(() => {
-          if (successModal) {
-            successModal.style.display = "none";
-            successModal.classList.remove("active");
-          }
-          window.location.href = "productupdate.html";
-        }, 2500);
-      });
-    };
+    function renderList() {
+      const orders = OrderHistory.list(session.userId);
+      lastSignature = JSON.stringify(
+        orders.map((o) => [o.orderNumber, OrderTracker.statusOf(o)])
+      );
+      if (!orders.length) {
+        listEl.innerHTML =
+          '<p class="orders-empty">You have no orders yet. <a href="productupdate.html">Browse our menu</a>.</p>';
+        return;
+      }
+      listEl.innerHTML = orders.map(renderOrderSummaryCard).join("");
+    }
 
-    const tryImmediate = () => {
-      const f = document.getElementById("checkoutForm");
-      if (f) {
-        attachBindings(f);
-        return true;
+    // Poll local state: move orders along the schedule and re-render on change
+    // Stops once this tab's session has ended
+    function refresh() {
+      if (!SessionManager.current()) {
+        clearInterval(pollId);
+        return;
       }
-      return false;
-    };
+      OrderTracker.advanceAll(session.userId);
+      const signature = JSON.stringify(
+        OrderHistory.list(session.userId).map((o) => [
+          o.orderNumber,
+          OrderTracker.statusOf(o),
+        ])
+      );
+      if (signature === lastSignature) return;
+      renderList();
+      if (currentOrderNumber()) showDetail(currentOrderNumber(), false);
+    }
 
-    if (!tryImmediate()) {
-      console.log(
-        "bindCheckoutForm: form not present yet; document.readyState=",
-        document.readyState
+    function handleReorderClick(e) {
+      const btn = e.target.closest(".order-reorder-btn");
+      if (!btn) return false;
+      e.preventDefault();
+      e.stopPropagation();
+      btn.disabled = true;
+      reorderPastOrder(session.userId, btn.getAttribute("data-order")).then(
+        () => (btn.disabled = false)
       );
+      return true;
+    }
 
-      const startObserve = () => {
-        const root = document.documentElement || document.body;
-        if (!root) {
-          setTimeout(startObserve, 150);
+    listEl.addEventListener("click", (e) => {
+      if (handleReorderClick(e)) return;
+      const btn = e.target.closest(".order-view-btn");
+      if (!btn) return;
+      e.preventDefault();
+      window.location.hash = btn.getAttribute("data-order");
+    });
+
+    if (detailEl) {
+      detailEl.addEventListener("click", (e) => {
+        if (handleReorderClick(e)) return;
+        const staffBtn = e.target.closest(".order-staff-btn");
+        if (staffBtn) {
+          e.preventDefault();
+          const res = OrderTracker.transition(
+            session.userId,
+            currentOrderNumber(),
+            staffBtn.getAttribute("data-status")
+          );
+          if (!res.ok) showNotification(`❌ ${res.msg}`, 2500, "error");
+          refresh();
           return;
         }
+        if (!e.target.closest(".order-detail-close")) return;
+        e.preventDefault();
+        window.location.hash = "";
+      });
+    }
 
-        let observerTimeout = null;
-        const observer = new MutationObserver((mutations, obs) => {
-          const f = document.getElementById("checkoutForm");
-          if (f) {
-            attachBindings(f);
-            obs.disconnect();
-            if (observerTimeout) clearTimeout(observerTimeout);
-          }
-        });
-
-        observer.observe(root, { childList: true, subtree: true });
-
-        // Increase timeout to 15 seconds for slower-loading pages
-        observerTimeout = setTimeout(() => {
-          try {
-            observer.disconnect();
-          } catch (e) {}
-          const still = document.getElementById("checkoutForm");
-          if (!still) {
-            console.warn(
-              "Checkout form not found after 15s — observer stopped."
-            );
-          }
-        }, 15000);
-      };
+    // orders.html#123456 opens that order's details
+    window.addEventListener("hashchange", () =>
+      showDetail(window.location.hash.slice(1))
+    );
+    window.addEventListener("storage", (e) => {
+      if (e.key === ORDERS_KEY) refresh();
+    });
 
-      if (document.readyState === "loading") {
-        document.addEventListener("DOMContentLoaded", startObserve, {
-          once: true,
-        });
-      } else {
-        startObserve();
-      }
-    }
+    OrderTracker.advanceAll(session.userId);
+    renderList();
+    if (currentOrderNumber()) showDetail(currentOrderNumber());
+    pollId = setInterval(refresh, ORDER_POLL_MS);
   }
 
   // ============================================
-  // RENDER CHECKOUT CART
+  // ORDER RECEIPT
   // ============================================
+  // receipt.html?order=<orderNumber> — printable proof of purchase. The
+  // same markup and RECEIPT_STYLES are saved as a standalone HTML file by
+  // the Download button, so the file opens fine without this site.
+  const STORE_INFO = {
+    name: "Cinco Coffee",
+    address: "Bgy. A. Bonifacio Ave, Quezon City, Metro Manila",
+    phone: "+63 916 304 7835",
+    email: "cinco5@gmail.com",
+  };
 
-  function renderCheckoutCart() {
-    try {
-      const container = document.getElementById("checkout-cart");
-      if (!container) return;
+  const RECEIPT_STYLES = `
+    .receipt { max-width: 520px; margin: 0 auto; padding: 28px; background: #fff; color: #3e2723; font-family: Poppins, Arial, sans-serif; font-size: 14px; border: 1px solid #f0e8df; border-radius: 10px; }
+    .receipt-store { text-align: center; border-bottom: 2px dashed #e0d4cb; padding-bottom: 14px; margin-bottom: 14px; }
+    .receipt-store h1 { margin: 0 0 4px; font-size: 22px; color: #d4764e; }
+    .receipt-store p { margin: 0; font-size: 12px; color: #7a6a62; }
+    .receipt-meta { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; margin-bottom: 14px; }
+    .receipt-meta dt { color: #7a6a62; }
+    .receipt-meta dd { margin: 0; text-align: right; }
+    .receipt-lines { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+    .receipt-lines th { text-align: left; font-size: 12px; color: #7a6a62; border-bottom: 1px solid #e0d4cb; padding: 6px 0; }
+    .receipt-lines td { vertical-align: top; padding: 8px 0; border-bottom: 1px solid #f5efe9; }
+    .receipt-lines .num { text-align: right; white-space: nowrap; }
+    .receipt-options { font-size: 12px; color: #7a6a62; }
+    .receipt-totals { margin-left: auto; width: 100%; }
+    .receipt-totals div { display: flex; justify-content: space-between; padding: 3px 0; }
+    .receipt-totals .receipt-grand { font-weight: 700; font-size: 16px; border-top: 2px solid #3e2723; margin-top: 6px; padding-top: 8px; }
+    .receipt-totals .receipt-vat { display: block; margin-top: 10px; padding-top: 8px; border-top: 1px dashed #e0d4cb; font-size: 12px; color: #7a6a62; }
+    .receipt-footer { text-align: center; margin-top: 18px; padding-top: 12px; border-top: 2px dashed #e0d4cb; font-size: 12px; color: #7a6a62; }
+    @media print { .receipt { border: none; padding: 0; } }
+  `;
+
+  function receiptMoney(n) {
+    return `₱${Number(n || 0).toFixed(2)}`;
+  }
 
-      container.innerHTML = "";
+  function renderReceipt(order) {
+    const d = order.delivery || {};
+    // VAT breakdown (orders placed before VAT was itemised have none)
+    const tax = order.tax || null;
+    const exemptIds = tax
+      ? tax.lines.filter((l) => l.exempt).map((l) => l.id)
+      : [];
+    const lines = order.items
+      .map((it) => {
+        const options = (Array.isArray(it.optionLabels) ? it.optionLabels : [])
+          .concat(it.note ? [`Note: ${it.note}`] : [])
+          .concat(exemptIds.includes(it.id) ? ["VAT-exempt"] : [])
+          .join(" · ");
+        return `
+          <tr>
+            <td>${escapeHtml(it.name)}${
+          it.size ? ` (${escapeHtml(it.size)})` : ""
+        }${
+          options
+            ? `<div class="receipt-options">${escapeHtml(options)}</div>`
+            : ""
+        }</td>
+            <td class="num">${Number(it.qty)}</td>
+            <td class="num">${receiptMoney(it.price)}</td>
+            <td class="num">${receiptMoney(
+              Number(it.price) * Number(it.qty)
+            )}</td>
+          </tr>`;
+      })
+      .join("");
+
+    const discounts = (order.discounts || [])
+      .map(
+        (p) =>
+          `<div><span>${escapeHtml(p.title)}</span><span>−${receiptMoney(
+            p.discount
+          )}</span></div>`
+      )
+      .join("");
+
+    const vatRow = tax
+      ? `<div><span>VAT (${Tax.rateLabel(tax)})</span><span>${receiptMoney(
+          tax.vat
+        )}</span></div>`
+      : "";
+    const vatSummary = tax
+      ? `<div class="receipt-vat">
+          <div><span>VATable Sales</span><span>${receiptMoney(
+            tax.vatableSales
+          )}</span></div>
+          ${vatRow}
+          <div><span>VAT-Exempt Sales</span><span>${receiptMoney(
+            tax.exemptSales
+          )}</span></div>
+        </div>`
+      : "";
+
+    const meta = [
+      ["Order #", order.orderNumber],
+      ["Date", formatOrderDate(order.placedAt)],
+      ["Customer", d.name],
+      ["Phone", d.phone],
+      [
+        order.fulfilment === "pickup" ? "Pickup" : "Deliver to",
+        order.fulfilment === "pickup" && order.pickup
+          ? `${order.pickup.name}, ${PickupLocations.formatDate(
+              order.pickup.date
+            )}`
+          : [d.address, d.city, d.zip].filter(Boolean).join(", "),
+      ],
+      ["Time", describeSchedule(order.schedule)],
+      ["Payment", describePayment(order)],
+    ]
+      .filter(([, value]) => value)
+      .map(
+        ([label, value]) =>
+          `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`
+      )
+      .join("");
+
+    return `
+      <article class="receipt">
+        <header class="receipt-store">
+          <h1>${escapeHtml(STORE_INFO.name)}</h1>
+          <p>${escapeHtml(STORE_INFO.address)}</p>
+          <p>${escapeHtml(STORE_INFO.phone)} · ${escapeHtml(
+      STORE_INFO.email
+    )}</p>
+        </header>
+        <dl class="receipt-meta">${meta}</dl>
+        <table class="receipt-lines">
+          <thead>
+            <tr><th>Item</th><th class="num">Qty</th><th class="num">Price</th><th class="num">Amount</th></tr>
+          </thead>
+          <tbody>${lines}</tbody>
+        </table>
+        <div class="receipt-totals">
+          <div><span>Subtotal</span><span>${receiptMoney(
+            order.subtotal
+          )}</span></div>
+          ${discounts}
+          <div><span>Delivery Fee</span><span>${receiptMoney(
+            order.deliveryFee
+          )}</span></div>
+          ${tax && tax.mode === "exclusive" ? vatRow : ""}
+          <div class="receipt-grand"><span>Total</span><span>${receiptMoney(
+            order.total
+          )}</span></div>
+          ${vatSummary}
+        </div>
+        <footer class="receipt-footer">Thank you for ordering from Cinco Coffee!</footer>
+      </article>`;
+  }
 
-      const session = SessionManager.get();
-      if (!session || !session.userId) {
-        container.innerHTML =
-          '<p style="color:#666;padding:12px;">Please log in to see your cart items.</p>';
-        return;
-      }
+  // The receipt as a self-contained HTML document
+  function receiptDocument(order) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(STORE_INFO.name)} receipt #${escapeHtml(
+      order.orderNumber
+    )}</title>
+<style>body { margin: 24px; background: #f9f7f4; }${RECEIPT_STYLES}</style>
+</head>
+<body>${renderReceipt(order)}</body>
+</html>`;
+  }
 
-      const raw = localStorage.getItem("cincoCart");
-      const allCarts = raw ? JSON.parse(raw) : {};
-      const userCart = allCarts[session.userId] || [];
+  function downloadReceipt(order) {
+    try {
+      const blob = new Blob([receiptDocument(order)], { type: "text/html" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `cinco-receipt-${order.orderNumber}.html`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      console.error("downloadReceipt error:", err);
+      showNotification("❌ Could not download the receipt", 2500, "error");
+    }
+  }
 
-      if (!userCart.length) {
-        container.innerHTML =
-          '<p style="color:#666;padding:12px;">Your cart is empty.</p>';
-        return;
-      }
+  function initReceiptPage() {
+    const receiptEl = document.getElementById("receipt");
+    if (!receiptEl) return;
 
-      const list = document.createElement("div");
-      list.className = "checkout-cart-list";
-      let grandTotal = 0;
+    const session = SessionManager.current();
 
-      userCart.forEach((it, i) => {
-        const price = Number(it.price || 0);
-        const qty = Number(it.qty || 1);
-        const itemTotal = price * qty;
-        grandTotal += itemTotal;
+    const orderNumber = new URLSearchParams(window.location.search).get(
+      "order"
+    );
+    if (!session) {
+      receiptEl.innerHTML = `<p class="orders-empty">Please <a href="logSign.html?next=orders.html">log in</a> to see your receipt.</p>`;
+      return;
+    }
 
-        const imgSrc = it.img || it.image || "assets/placeholder.png";
+    const order = OrderHistory.get(session.userId, orderNumber);
+    const actions = document.querySelectorAll(
+      ".receipt-print-btn, .receipt-download-btn"
+    );
+    if (!order) {
+      receiptEl.innerHTML =
+        '<p class="orders-empty">We couldn\'t find that order. <a href="orders.html">Back to My Orders</a></p>';
+      actions.forEach((btn) => (btn.disabled = true));
+      return;
+    }
 
-        const row = document.createElement("div");
-        row.className = "checkout-cart-row";
-        row.style.cssText =
-          "display:flex; gap:12px; align-items:center; padding:12px; border-bottom:1px solid #f0e8df;";
+    if (!document.getElementById("receiptStyles")) {
+      const style = document.createElement("style");
+      style.id = "receiptStyles";
+      style.textContent = RECEIPT_STYLES;
+      document.head.appendChild(style);
+    }
+    document.title = `Cinco Coffee - Receipt #${order.orderNumber}`;
+    receiptEl.innerHTML = renderReceipt(order);
+
+    const printBtn = document.querySelector(".receipt-print-btn");
+    const downloadBtn = document.querySelector(".receipt-download-btn");
+    if (printBtn) printBtn.addEventListener("click", () => window.print());
+    if (downloadBtn)
+      downloadBtn.addEventListener("click", () => downloadReceipt(order));
+  }
 
-        row.innerHTML = `
-          <div style="width:64px; height:64px; border-radius:8px; overflow:hidden; flex-shrink:0; background:#fff;">
-            <img src="${imgSrc}" alt="${(it.name || "Item").replace(
-          /"/g,
-          ""
-        )}" style="width:100%;height:100%;object-fit:cover;" />
-          </div>
-          <div style="flex:1;">
-            <div style="font-weight:700;color:var(--dark);">${
-              it.name || "Product"
-            }</div>
-            <div style="font-size:12px;color:var(--muted); margin-top:4px;">${
-              it.size ? `Size: ${it.size} • ` : ""
-            }Qty: ${qty} × ₱${price.toFixed(2)}</div>
-          </div>
-          <div style="min-width:90px; text-align:right; font-weight:700; color:var(--brand);">₱${itemTotal.toFixed(
-            2
-          )}</div>
-        `;
+  // ============================================
+  // ACCOUNT PROFILE
+  // ============================================
+  // Name, email and password changes for the logged-in user (account.html).
+  // The stored sessions and the header greeting follow the new name/email.
+  const AccountProfile = (function () {
+    // { ok, user, changed } or { ok: false, errors: { field: msg } }
+    function update(userId, raw = {}) {
+      const users = readUsers();
+      const user = users.find((u) => u.id === userId);
+      if (!user) return { ok: false, errors: { name: "Account not found" } };
+
+      const errors = {};
+      const nameRes = validateTextField("Full name", raw.name, {
+        required: true,
+        min: 2,
+        max: 100,
+      });
+      if (!nameRes.ok) errors.name = nameRes.msg;
+      const emailRes = validateEmail(raw.email);
+      if (!emailRes.ok) errors.email = emailRes.msg;
+      else if (
+        users.some((u) => u.id !== userId && sameEmail(u.email, emailRes.value))
+      )
+        errors.email = "That email is already used by another account";
+      if (Object.keys(errors).length) return { ok: false, errors };
+
+      const changed =
+        user.name !== nameRes.value || user.email !== emailRes.value;
+      if (changed) {
+        moveLoginAttempts(user.email, emailRes.value);
+        user.name = nameRes.value;
+        user.email = emailRes.value;
+        writeUsers(users);
+        syncSessionProfile(user);
+      }
+      return { ok: true, user, changed };
+    }
 
-        list.appendChild(row);
+    // Resolves { ok } or { ok: false, field, msg }. Wrong current passwords
+    // count towards the same lockout as failed logins.
+    function changePassword(userId, current, next, confirmPassword) {
+      const user = readUsers().find((u) => u.id === userId);
+      if (!user)
+        return Promise.resolve({
+          ok: false,
+          field: "currentPassword",
+          msg: "Account not found",
+        });
+      const lock = isLocked(user.email);
+      if (lock.locked)
+        return Promise.resolve({
+          ok: false,
+          field: "currentPassword",
+          msg: `Too many attempts. Try again in ${Math.ceil(
+            lock.remaining / 60000
+          )} minute(s)`,
+        });
+      if (!current)
+        return Promise.resolve({
+          ok: false,
+          field: "currentPassword",
+          msg: "Current password is required",
+        });
+      const passRes = validatePassword(next);
+      if (!passRes.ok)
+        return Promise.resolve({
+          ok: false,
+          field: "newPassword",
+          msg: passRes.msg,
+        });
+      if (next !== confirmPassword)
+        return Promise.resolve({
+          ok: false,
+          field: "confirmPassword",
+          msg: "Passwords do not match",
+        });
+
+      return new Promise((resolve) => {
+        bcrypt.compare(current, user.password || "", function (err, isMatch) {
+          if (err || !isMatch) {
+            recordFailedLogin(user.email);
+            resolve({
+              ok: false,
+              field: "currentPassword",
+              msg: "Current password is incorrect",
+            });
+            return;
+          }
+          if (current === next) {
+            resolve({
+              ok: false,
+              field: "newPassword",
+              msg: "New password must be different from the current one",
+            });
+            return;
+          }
+          bcrypt.hash(next, 10, function (hashErr, hashed) {
+            if (hashErr) {
+              console.error("Bcrypt hash error:", hashErr);
+              resolve({
+                ok: false,
+                field: "newPassword",
+                msg: "Could not change your password",
+              });
+              return;
+            }
+            const users = readUsers();
+            const stored = users.find((u) => u.id === userId);
+            if (!stored) {
+              resolve({
+                ok: false,
+                field: "currentPassword",
+                msg: "Account not found",
+              });
+              return;
+            }
+            const changedAt = Date.now();
+            stored.password = hashed;
+            stored.passwordChangedAt = changedAt;
+            writeUsers(users);
+            resetLoginAttempts(stored.email);
+            // re-issue this tab's session so only the other ones end
+            const session = SessionManager.get();
+            if (session && session.userId === userId) {
+              SessionManager.update({
+                token: SessionManager.genToken(32),
+                createdAt: changedAt,
+              });
+            }
+            resolve({ ok: true });
+          });
+        });
       });
+    }
 
-      const footer = document.createElement("div");
-      footer.style.cssText =
-        "padding:16px; text-align:right; border-top:2px solid #f0e8df; font-weight:800; font-size:16px; color:var(--brand);";
-      footer.textContent = `Total: ₱${grandTotal.toFixed(2)}`;
+    return { update, changePassword };
+  })();
 
-      container.appendChild(list);
-      container.appendChild(footer);
+  window.AccountProfile = AccountProfile;
 
-      console.log("✓ Checkout cart rendered with", userCart.length, "items");
-    } catch (err) {
-      console.error("renderCheckoutCart error:", err);
+  // Copy the user's current name/email into the session
+  function syncSessionProfile(user) {
+    const current = SessionManager.get();
+    if (current && current.userId === user.id) {
+      SessionManager.update({ name: user.name, email: user.email });
     }
+    if (typeof updateUserHeaderUI === "function") updateUserHeaderUI();
   }
 
   // ============================================
-  // CHECKOUT PAGE INITIALIZER
+  // PERSONAL DATA (export & account deletion)
   // ============================================
-  function initCheckoutPage() {
-    // DON'T wrap in DOMContentLoaded — just run immediately
+  // Everything stored about one user, for "Download my data", and the
+  // matching erase for "Delete my account". Orders are kept for the shop's
+  // records (order numbers and slot bookings) but stripped of contact and
+  // address details; feedback is kept without the sender's name and email.
+  const PERSONAL_DATA_FORMAT = "cinco-personal-data-v1";
+
+  const PersonalData = (function () {
+    function readJSON(key, fallback) {
+      try {
+        const value = JSON.parse(localStorage.getItem(key) || "null");
+        return value && typeof value === "object" ? value : fallback;
+      } catch (e) {
+        return fallback;
+      }
+    }
 
-    const orderItemsContainer = document.querySelector(".order-items");
-    const subtotalEl = document.querySelector(".subtotal-amount");
-    const totalEl = document.querySelector(".total-amount");
-    const placeBtn = document.querySelector(".place-order-btn");
-    const form = document.getElementById("checkoutForm");
-    const successModal = document.getElementById("orderSuccessModal");
-    const orderNumberEl = document.getElementById("orderNumber");
-    const mobileUserGreeting = document.getElementById("mobileUserGreeting");
-    const floatingLogout = document.getElementById("floatingLogout");
+    function writeJSON(key, value) {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
 
-    // Safety: exit if not on checkout page
-    if (!orderItemsContainer) return;
+    function findUser(userId) {
+      return readUsers().find((u) => u.id === userId) || null;
+    }
 
-    // RESTORE session from localStorage FIRST
-    let session = null;
-    try {
-      const raw = localStorage.getItem("cincoSession");
-      if (raw) {
-        session = JSON.parse(raw);
-        if (
-          window.SessionManager &&
-          typeof window.SessionManager.set === "function"
-        ) {
-          window.SessionManager.set(session);
+    // JSON-ready bundle of the user's data, or null for an unknown user
+    function collect(userId) {
+      const user = findUser(userId);
+      if (!user) return null;
+      const email = user.email;
+
+      const { password, ...account } = user;
+      const carts = readJSON("cincoCart", {});
+      const feedback = readJSON("cincoFeedbacks", []);
+      const attempts = readJSON(LOGIN_ATTEMPTS_KEY, {});
+      const usage = readJSON(VOUCHER_USAGE_KEY, {});
+      const vouchers = {};
+      Object.keys(usage).forEach((code) => {
+        const users = (usage[code] && usage[code].users) || {};
+        if (users[userId]) vouchers[code] = users[userId];
+      });
+
+      return {
+        format: PERSONAL_DATA_FORMAT,
+        exportedAt: new Date().toISOString(),
+        account,
+        cart: Array.isArray(carts[userId]) ? carts[userId] : [],
+        addresses: AddressBook.list(userId),
+        orders: OrderHistory.list(userId),
+        feedback: Array.isArray(feedback)
+          ? feedback.filter((f) => sameEmail(f.email, email))
+          : [],
+        voucherUsage: vouchers,
+        loginAttempts: attempts[String(email).trim().toLowerCase()] || null,
+        passwordResets: readJSON(RESET_TOKENS_KEY, [])
+          .filter((t) => t.userId === userId)
+          .map(({ createdAt, expiresAt, usedAt }) => ({
+            createdAt,
+            expiresAt,
+            usedAt,
+          })),
+        emails: readJSON(OUTBOX_KEY, []).filter((m) => sameEmail(m.to, email)),
+      };
+    }
+
+    function erase(user) {
+      const userId = user.id;
+      const email = user.email;
+
+      writeUsers(readUsers().filter((u) => u.id !== userId));
+
+      ["cincoCart", ADDRESS_BOOK_KEY].forEach((key) => {
+        const all = readJSON(key, {});
+        if (all[userId]) {
+          delete all[userId];
+          writeJSON(key, all);
         }
+      });
+
+      const orders = readJSON(ORDERS_KEY, {});
+      if (Array.isArray(orders[userId])) {
+        orders[userId] = orders[userId].map((order) =>
+          Object.assign({}, order, {
+            delivery: { name: "Deleted account" },
+            paymentDetails: order.paymentDetails
+              ? {
+                  method: order.paymentDetails.method,
+                  status: order.paymentDetails.status,
+                }
+              : null,
+            items: (order.items || []).map((item) =>
+              Object.assign({}, item, { note: "" })
+            ),
+            anonymizedAt: new Date().toISOString(),
+          })
+        );
+        writeJSON(ORDERS_KEY, orders);
       }
-    } catch (e) {
-      console.warn("Could not restore session:", e);
-    }
 
-    // Show user greeting if session available
-    if (session && session.name && mobileUserGreeting) {
-      mobileUserGreeting.textContent = `Hello, ${session.name}`;
-      mobileUserGreeting.style.fontWeight = "500";
-      if (floatingLogout) floatingLogout.style.display = "";
+      const feedback = readJSON("cincoFeedbacks", []);
+      if (Array.isArray(feedback)) {
+        writeJSON(
+          "cincoFeedbacks",
+          feedback.map((f) =>
+            sameEmail(f.email, email)
+              ? Object.assign({}, f, { name: "Anonymous", email: "" })
+              : f
+          )
+        );
+      }
+
+      const usage = readJSON(VOUCHER_USAGE_KEY, {});
+      Object.keys(usage).forEach((code) => {
+        if (usage[code] && usage[code].users) delete usage[code].users[userId];
+      });
+      writeJSON(VOUCHER_USAGE_KEY, usage);
+
+      writeJSON(
+        RESET_TOKENS_KEY,
+        readJSON(RESET_TOKENS_KEY, []).filter((t) => t.userId !== userId)
+      );
+      writeJSON(
+        OUTBOX_KEY,
+        readJSON(OUTBOX_KEY, []).filter((m) => !sameEmail(m.to, email))
+      );
+
+      resetLoginAttempts(email);
+      clearCheckoutAttempt();
+      revokeUserSessions(user);
     }
 
-    function renderCartFromStorage() {
-      if (!orderItemsContainer) return;
-      orderItemsContainer.innerHTML = "";
-      let subtotal = 0;
+    // Resolves { ok } once everything is gone, or { ok: false, msg }.
+    // Wrong passwords count towards the login lockout.
+    function remove(userId, password) {
+      const user = findUser(userId);
+      if (!user)
+        return Promise.resolve({ ok: false, msg: "Account not found" });
+      const lock = isLocked(user.email);
+      if (lock.locked)
+        return Promise.resolve({
+          ok: false,
+          msg: `Too many attempts. Try again in ${Math.ceil(
+            lock.remaining / 60000
+          )} minute(s)`,
+        });
+      if (!password)
+        return Promise.resolve({
+          ok: false,
+          msg: "Enter your password to delete your account",
+        });
 
-      // READ cart data
-      const raw = localStorage.getItem("cincoCart");
-      const allCarts = raw ? JSON.parse(raw) : {};
+      return new Promise((resolve) => {
+        bcrypt.compare(password, user.password || "", function (err, isMatch) {
+          if (err || !isMatch) {
+            recordFailedLogin(user.email);
+            resolve({ ok: false, msg: "Password is incorrect" });
+            return;
+          }
+          try {
+            erase(user);
+            resolve({ ok: true });
+          } catch (e) {
+            console.error("PersonalData.remove error:", e);
+            resolve({ ok: false, msg: "Could not delete your account" });
+          }
+        });
+      });
+    }
 
-      // GET current session
-      const userId = session ? session.userId : null;
-      const userCart = userId ? allCarts[userId] || [] : [];
+    return { collect, remove };
+  })();
 
-      console.log(
-        "✓ Checkout render - userId:",
-        userId,
-        "Items in cart:",
-        userCart.length
-      );
+  window.PersonalData = PersonalData;
 
-      if (!userCart || userCart.length === 0) {
-        orderItemsContainer.innerHTML =
-          "<p style='color:#999; padding:20px;'>Your cart is empty.</p>";
-        if (subtotalEl) subtotalEl.textContent = "0.00";
-        if (totalEl) totalEl.textContent = "50.00";
+  function downloadPersonalData(userId) {
+    try {
+      const bundle = PersonalData.collect(userId);
+      if (!bundle) {
+        showNotification("❌ Account not found", 2500, "error");
         return;
       }
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `cinco-my-data-${bundle.exportedAt.slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      console.error("downloadPersonalData error:", err);
+      showNotification("❌ Could not download your data", 2500, "error");
+    }
+  }
 
-      // Render each item
-      userCart.forEach((item) => {
-        const price = Number(item.price || 0);
-        const qty = Number(item.qty || 1);
-        const itemTotal = price * qty;
-        subtotal += itemTotal;
+  // ============================================
+  // ACCOUNT PAGE
+  // ============================================
+  function renderAddressCard(entry) {
+    const id = escapeHtml(entry.id);
+    return `
+      <article class="address-card${
+        entry.isDefault ? " is-default" : ""
+      }" data-id="${id}">
+        <div class="address-card-head">
+          <span class="address-label">${escapeHtml(entry.label)}</span>
+          ${
+            entry.isDefault
+              ? '<span class="address-default-badge">Default</span>'
+              : ""
+          }
+        </div>
+        <p class="address-card-name">${escapeHtml(
+          `${entry.firstName} ${entry.lastName}`
+        )}</p>
+        <p>${escapeHtml(entry.address)}</p>
+        <p>${escapeHtml(`${entry.city} ${entry.zip}`)}</p>
+        <p class="address-card-contact">${escapeHtml(
+          entry.phone
+        )} · ${escapeHtml(entry.email)}</p>
+        <div class="address-card-actions">
+          <button type="button" class="btn address-edit-btn" data-action="edit" data-id="${id}">Edit</button>
+          ${
+            entry.isDefault
+              ? ""
+              : `<button type="button" class="btn address-default-btn" data-action="default" data-id="${id}">Set as default</button>`
+          }
+          <button type="button" class="btn address-delete-btn" data-action="delete" data-id="${id}">Delete</button>
+        </div>
+      </article>`;
+  }
 
-        const wrapper = document.createElement("div");
-        wrapper.className = "order-item";
-        wrapper.style.cssText = `
-          display: flex;
-          align-items: center;
-          padding: 12px;
-          border-bottom: 1px solid #eee;
-          gap: 12px;
-        `;
-        wrapper.innerHTML = `
-          <img src="${item.img || "assets/placeholder.png"}" alt="${
-          item.name || ""
-        }" 
-               style="width:80px; height:80px; object-fit:cover; border-radius:6px;" />
-          <div style="flex:1;">
-            <div style="font-weight:600; margin-bottom:4px;">${
-              item.name || ""
-            }</div>
-            ${
-              item.size
-                ? `<div style="font-size:12px; color:#999;">Size: ${item.size}</div>`
-                : ""
-            }
-            <div style="font-size:14px; color:#666;">Qty: ${qty}</div>
-          </div>
-          <div style="text-align:right; font-weight:600;">
-            ₱${itemTotal.toFixed(2)}
-          </div>
-        `;
-        orderItemsContainer.appendChild(wrapper);
-      });
+  function bindProfileForms(userId) {
+    const profileForm = document.getElementById("profileForm");
+    const passwordForm = document.getElementById("passwordForm");
+    const user = readUsers().find((u) => u.id === userId);
 
-      // Update totals
-      const deliveryFee = 50;
-      const total = subtotal + deliveryFee;
-      if (subtotalEl) subtotalEl.textContent = subtotal.toFixed(2);
-      if (totalEl) totalEl.textContent = total.toFixed(2);
+    if (profileForm && user) {
+      const nameInput = profileForm.elements.namedItem("name");
+      const emailInput = profileForm.elements.namedItem("email");
+      nameInput.value = user.name || "";
+      emailInput.value = user.email || "";
 
-      console.log(
-        "✓ Cart rendered - Subtotal: ₱" +
-          subtotal.toFixed(2) +
-          ", Total: ₱" +
-          total.toFixed(2)
-      );
+      profileForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        [nameInput, emailInput].forEach(clearFieldError);
+        const res = AccountProfile.update(userId, {
+          name: nameInput.value,
+          email: emailInput.value,
+        });
+        if (!res.ok) {
+          let firstInvalid = null;
+          Object.keys(res.errors).forEach((field) => {
+            const input = profileForm.elements.namedItem(field);
+            setFieldError(input, res.errors[field]);
+            if (!firstInvalid) firstInvalid = input;
+          });
+          if (firstInvalid) firstInvalid.focus();
+          showFormMessage(
+            "profileForm",
+            "❌ Please fix the highlighted fields.",
+            "error"
+          );
+          return;
+        }
+        nameInput.value = res.user.name;
+        emailInput.value = res.user.email;
+        showFormMessage(
+          "profileForm",
+          res.changed ? "✅ Profile updated" : "ℹ️ Nothing to update",
+          res.changed ? "success" : "info",
+          3000
+        );
+      });
     }
 
-    // Render cart immediately (page is already loaded)
-    renderCartFromStorage();
+    if (passwordForm) {
+      const fields = ["currentPassword", "newPassword", "confirmPassword"].map(
+        (name) => passwordForm.elements.namedItem(name)
+      );
+      const saveBtn = passwordForm.querySelector('button[type="submit"]');
 
-    // Handle place order
-    function generateOrderNumber() {
-      return Math.floor(100000 + Math.random() * 900000).toString();
+      passwordForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        fields.forEach(clearFieldError);
+        if (saveBtn) saveBtn.disabled = true;
+        AccountProfile.changePassword(
+          userId,
+          fields[0].value,
+          fields[1].value,
+          fields[2].value
+        ).then((res) => {
+          if (saveBtn) saveBtn.disabled = false;
+          if (!res.ok) {
+            const input = passwordForm.elements.namedItem(res.field);
+            setFieldError(input, res.msg);
+            if (input) input.focus();
+            showFormMessage("passwordForm", `❌ ${res.msg}`, "error");
+            return;
+          }
+          passwordForm.reset();
+          showFormMessage(
+            "passwordForm",
+            "✅ Password changed",
+            "success",
+            3000
+          );
+        });
+      });
     }
+  }
 
-    if (form) {
-      form.addEventListener("submit", (e) => {
-        e.preventDefault();
+  function bindPrivacyActions(userId) {
+    const exportBtn = document.querySelector(".data-export-btn");
+    if (exportBtn)
+      exportBtn.addEventListener("click", () => downloadPersonalData(userId));
 
-        const raw = localStorage.getItem("cincoCart");
-        const allCarts = raw ? JSON.parse(raw) : {};
-        const userId = session ? session.userId : null;
-        const userCart = userId ? allCarts[userId] || [] : [];
+    const deleteForm = document.getElementById("deleteAccountForm");
+    if (!deleteForm) return;
+    const passwordInput = deleteForm.elements.namedItem("password");
+    const deleteBtn = deleteForm.querySelector('button[type="submit"]');
 
-        if (!userCart || userCart.length === 0) {
-          if (typeof showNotification === "function") {
-            showNotification(
-              "Your cart is empty. Please add items before placing an order.",
-              3000,
-              "warning"
-            );
-          }
+    deleteForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      clearFieldError(passwordInput);
+      if (deleteBtn) deleteBtn.disabled = true;
+      PersonalData.remove(userId, passwordInput.value).then((res) => {
+        if (!res.ok) {
+          if (deleteBtn) deleteBtn.disabled = false;
+          setFieldError(passwordInput, res.msg);
+          passwordInput.focus();
+          showFormMessage("deleteAccountForm", `❌ ${res.msg}`, "error");
           return;
         }
+        deleteForm.reset();
+        updateCartCount();
+        showNotification(
+          "👋 Your account and data have been deleted",
+          2500,
+          "info"
+        );
+        setTimeout(() => {
+          window.location.href = "index.html";
+        }, 1200);
+      });
+    });
+  }
 
-        const orderNum = generateOrderNumber();
-        if (orderNumberEl) orderNumberEl.textContent = orderNum;
-        if (successModal) successModal.style.display = "flex";
+  function initAccountPage() {
+    const page = document.querySelector(".account-page");
+    if (!page) return;
 
-        // Clear cart after order
-        if (userId) {
-          delete allCarts[userId];
-          localStorage.setItem("cincoCart", JSON.stringify(allCarts));
-          if (typeof updateCartCount === "function") updateCartCount();
-        }
+    const session = SessionManager.current();
 
-        if (typeof showNotification === "function") {
-          showNotification(
-            `✅ Order #${orderNum} placed successfully!`,
-            2000,
-            "success"
-          );
-        }
+    const guestEl = page.querySelector(".account-guest");
+    if (!session) {
+      if (guestEl) guestEl.style.display = "";
+      page
+        .querySelectorAll(".account-section")
+        .forEach((el) => (el.style.display = "none"));
+      return;
+    }
+    const userId = session.userId;
+
+    bindProfileForms(userId);
+    bindPrivacyActions(userId);
+
+    // ----- Address book -----
+    const listEl = document.getElementById("addressList");
+    const form = document.getElementById("addressForm");
+    if (!listEl || !form) return;
+    const titleEl = form.querySelector(".address-form-title");
+    const cancelBtn = form.querySelector(".address-cancel-btn");
+
+    function renderAddressList() {
+      const entries = AddressBook.list(userId);
+      listEl.innerHTML = entries.length
+        ? entries.map(renderAddressCard).join("")
+        : '<p class="orders-empty">No saved addresses yet. Add one below, or tick "Save this address" at checkout.</p>';
+    }
 
-        setTimeout(() => {
-          if (successModal) successModal.style.display = "none";
-          window.location.href = "productupdate.html";
-        }, 2500);
-      });
+    function resetAddressForm() {
+      form.reset();
+      form.elements.namedItem("id").value = "";
+      ADDRESS_FIELDS.forEach((field) =>
+        clearFieldError(form.elements.namedItem(field))
+      );
+      if (titleEl) titleEl.textContent = "Add an address";
+      if (cancelBtn) cancelBtn.style.display = "none";
     }
 
-    if (placeBtn && form) {
-      placeBtn.addEventListener("click", () => {
-        if (typeof form.requestSubmit === "function") form.requestSubmit();
-        else form.submit();
-      });
+    function editAddress(id) {
+      const entry = AddressBook.get(userId, id);
+      if (!entry) return;
+      resetAddressForm();
+      fillAddressFields(form, entry);
+      form.elements.namedItem("id").value = entry.id;
+      form.elements.namedItem("label").value = entry.label;
+      form.elements.namedItem("isDefault").checked = !!entry.isDefault;
+      if (titleEl) titleEl.textContent = `Edit ${entry.label} address`;
+      if (cancelBtn) cancelBtn.style.display = "";
+      form.scrollIntoView({ behavior: "smooth", block: "start" });
     }
+
+    listEl.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-action]");
+      if (!btn) return;
+      const id = btn.getAttribute("data-id");
+      const action = btn.getAttribute("data-action");
+      if (action === "edit") {
+        editAddress(id);
+      } else if (action === "default") {
+        AddressBook.setDefault(userId, id);
+        renderAddressList();
+      } else if (action === "delete") {
+        // second click confirms
+        if (!btn.classList.contains("is-confirming")) {
+          btn.classList.add("is-confirming");
+          btn.textContent = "Tap again to delete";
+          return;
+        }
+        AddressBook.remove(userId, id);
+        if (form.elements.namedItem("id").value === id) resetAddressForm();
+        renderAddressList();
+        showNotification("🗑️ Address removed", 2000, "info");
+      }
+    });
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const entry = readAddressFields(form);
+      entry.id = form.elements.namedItem("id").value;
+      entry.label = form.elements.namedItem("label").value;
+      const res = AddressBook.save(userId, entry, {
+        makeDefault: form.elements.namedItem("isDefault").checked,
+      });
+
+      ADDRESS_FIELDS.forEach((field) =>
+        clearFieldError(form.elements.namedItem(field))
+      );
+      if (!res.ok) {
+        let firstInvalid = null;
+        Object.keys(res.errors).forEach((field) => {
+          const input = form.elements.namedItem(field);
+          setFieldError(input, res.errors[field]);
+          if (!firstInvalid) firstInvalid = input;
+        });
+        if (firstInvalid) firstInvalid.focus();
+        showFormMessage(
+          "addressForm",
+          "❌ Please fix the highlighted fields.",
+          "error"
+        );
+        return;
+      }
+
+      showFormMessage(
+        "addressForm",
+        `✅ ${res.entry.label} address saved`,
+        "success",
+        3000
+      );
+      resetAddressForm();
+      renderAddressList();
+    });
+
+    if (cancelBtn) cancelBtn.addEventListener("click", resetAddressForm);
+
+    renderAddressList();
   }
 
   // ============================================
@@ -2462,30 +7511,47 @@
   // ============================================
   function updateUserHeaderUI() {
     try {
-      const session =
-        (typeof SessionManager !== "undefined" &&
-          SessionManager.get &&
-          SessionManager.get()) ||
-        JSON.parse(localStorage.getItem("cincoSession") || "null");
+      const session = SessionManager.current();
 
       const nameEl = document.getElementById("userName");
       const logoutBtn = document.getElementById("logoutBtn");
 
-      // Prefer explicit user name fields; do NOT use email as the displayed name.
-      const rawName =
-        session && (session.name || (session.meta && session.meta.name))
-          ? session.name || (session.meta && session.meta.name)
-          : "";
-      const displayName = sanitizeInput(rawName) || "kaCinco";
+      // Do NOT use email as the displayed name.
+      const displayName =
+        sanitizeInput(session ? session.name : "") || "kaCinco";
+
+      // "My Orders" and "My Account" links live next to the greeting
+      let ordersLink = document.getElementById("myOrdersLink");
+      if (!ordersLink && nameEl && nameEl.parentNode) {
+        ordersLink = document.createElement("a");
+        ordersLink.id = "myOrdersLink";
+        ordersLink.className = "my-orders-link";
+        ordersLink.href = "orders.html";
+        ordersLink.textContent = "My Orders";
+        nameEl.parentNode.insertBefore(ordersLink, nameEl.nextSibling);
+      }
+      let accountLink = document.getElementById("myAccountLink");
+      if (!accountLink && ordersLink && ordersLink.parentNode) {
+        accountLink = document.createElement("a");
+        accountLink.id = "myAccountLink";
+        accountLink.className = "my-orders-link";
+        accountLink.href = "account.html";
+        accountLink.textContent = "My Account";
+        ordersLink.parentNode.insertBefore(accountLink, ordersLink.nextSibling);
+      }
 
       if (session && nameEl) {
         nameEl.textContent = `Hello, ${displayName}`;
         nameEl.style.display = "inline-block";
         if (logoutBtn) logoutBtn.style.display = "inline-block";
+        if (ordersLink) ordersLink.style.display = "inline-block";
+        if (accountLink) accountLink.style.display = "inline-block";
       } else if (nameEl) {
         nameEl.textContent = "";
         nameEl.style.display = "none";
         if (logoutBtn) logoutBtn.style.display = "none";
+        if (ordersLink) ordersLink.style.display = "none";
+        if (accountLink) accountLink.style.display = "none";
       }
 
       // hide/show hero auth link(s)
@@ -2529,9 +7595,12 @@
   // ============================================
   function init() {
     console.log("✓ Initializing Cinco Coffee...");
+    // checks for an idle session right away, then every minute
     try {
-      expireSessionIfNeeded();
-    } catch (e) {}
+      SessionManager.start();
+    } catch (e) {
+      console.error("SessionManager start error", e);
+    }
     try {
       initAuthForms();
     } catch (e) {
@@ -2543,11 +7612,12 @@
     } catch (e) {
       console.log("ℹ Auth tabs not initialized");
     }
-
-    // enforce session expiry immediately on load
     try {
-      expireSessionIfNeeded();
-    } catch (e) {}
+      initPasswordResetPage();
+      initOutboxPage();
+    } catch (e) {
+      console.error("password reset init error:", e);
+    }
 
     // initialize feedback form (contact.html)
     try {
@@ -2594,6 +7664,12 @@
       console.error("sanitizeStoredFeedbacks error:", e);
     }
 
+    try {
+      renderProductGrid();
+      hydrateCatalogPrices();
+    } catch (e) {
+      console.error("renderProductGrid error:", e);
+    }
     try {
       bindProductButtons();
     } catch (e) {
@@ -2633,6 +7709,24 @@
       /* ignore */
     }
 
+    try {
+      initOrdersPage();
+    } catch (e) {
+      console.error("initOrdersPage error:", e);
+    }
+
+    try {
+      initReceiptPage();
+    } catch (e) {
+      console.error("initReceiptPage error:", e);
+    }
+
+    try {
+      initAccountPage();
+    } catch (e) {
+      console.error("initAccountPage error:", e);
+    }
+
     // DELAY updateCartCount() to allow session to fully restore
     setTimeout(() => {
       try {
@@ -2642,6 +7736,11 @@
       }
     }, 300);
 
+    // Cart edited in another tab: refresh badges and drawer
+    window.addEventListener("storage", (e) => {
+      if (e.key === "cincoCart") updateCartUI();
+    });
+
     // DELAY rebuildCartModal() similarly
     setTimeout(() => {
       try {
@@ -2667,109 +7766,72 @@
     setTimeout(init, 0);
   }
 
-  // --- session helper: support current and legacy keys ---
-  const LEGACY_SESSION_KEYS = ["cinco_session_v1", "cincoSession"];
-
-  function readAnySession() {
-    for (const k of LEGACY_SESSION_KEYS) {
-      try {
-        const raw = localStorage.getItem(k);
-        if (raw) return { key: k, obj: JSON.parse(raw) };
-      } catch (e) {}
-    }
-    return null;
-  }
+  // ============================================
+  // SESSION EXPIRY
+  // ============================================
+  // SessionManager logs the user out after the idle timeout or, for
+  // "Remember me" sessions, the maximum age (SESSION_SETTINGS), and when
+  // the account's password changes or the account is deleted; tell them
+  // and send them to log in again. Pages can set their own
+  // window.onSessionExpired instead.
+  const SESSION_END_MESSAGES = {
+    "max-age": "⏳ Your saved login has expired. Please log in again.",
+    "password-changed":
+      "🔒 Your password was changed. Please log in with the new password.",
+    "account-deleted": "🔒 This account has been deleted.",
+  };
 
-  function removeAllSessions() {
-    for (const k of LEGACY_SESSION_KEYS) {
+  function handleSessionExpired({ reason } = {}) {
+    updateUserHeaderUI();
+    updateCartCount();
+    showNotification(
+      SESSION_END_MESSAGES[reason] ||
+        "⏳ Session expired due to inactivity. Please log in again.",
+      3500,
+      "info"
+    );
+    // already on the login / reset pages
+    if (document.body && document.body.classList.contains("auth-page-body"))
+      return;
+    // Delay redirect slightly so the notification is visible to the user
+    setTimeout(() => {
       try {
-        localStorage.removeItem(k);
+        window.location.href = "logSign.html";
       } catch (e) {}
-    }
+    }, 3000);
   }
 
-  function getSessionTimestamp(session) {
-    if (!session) return null;
-    return (
-      Number(
-        session.ts ||
-          session.lastActivity ||
-          session.createdAt ||
-          session.updatedAt ||
-          0
-      ) || null
-    );
-  }
-
-  function setSessionTimestampFields(session, value) {
-    try {
-      session.ts = value;
-      session.lastActivity = value;
-      if (!session.createdAt) session.createdAt = value;
-    } catch (e) {}
-    return session;
+  if (typeof window.onSessionExpired !== "function") {
+    window.onSessionExpired = handleSessionExpired;
   }
 
-  // expire check that covers both keys
-  function expireSessionIfNeeded(timeoutMs = 30 * 60 * 1000) {
+  function expireSessionIfNeeded() {
     try {
-      const found = readAnySession();
-      if (!found) return false;
-      const { key, obj } = found;
-      const ts = getSessionTimestamp(obj);
-      if (!ts) return false;
-      if (Date.now() - Number(ts) > Number(timeoutMs)) {
-        // remove all possible session keys
-        removeAllSessions();
-        if (typeof updateUserHeaderUI === "function") updateUserHeaderUI();
-        if (typeof showNotification === "function") {
-          showNotification(
-            "⏳ Session expired due to inactivity. Please log in again.",
-            3500,
-            "info"
-          );
-        }
-        try {
-          // Delay redirect slightly so the notification is visible to the user
-          setTimeout(() => {
-            try {
-              window.location.href = "logSign.html";
-            } catch (e) {}
-          }, 3000);
-        } catch (e) {}
-        return true;
-      }
+      const session = SessionManager.get();
+      if (!session || SessionManager.isValid()) return false;
+      SessionManager.checkOnce();
+      return true;
     } catch (e) {
       console.error("expireSessionIfNeeded error:", e);
     }
     return false;
   }
 
-  // ensure a debug helper sets the right fields on whichever key exists
+  // debug helper: make the session look idle for `byMs`
   window.expireSessionNow = function (byMs = 31 * 60 * 1000) {
-    try {
-      const found = readAnySession();
-      if (!found) return false;
-      const past = Date.now() - byMs;
-      const updated = setSessionTimestampFields(found.obj, past);
-      localStorage.setItem(found.key, JSON.stringify(updated));
-      console.log("expireSessionNow: set", found.key, "ts ->", past);
-      return true;
-    } catch (e) {
-      console.error("expireSessionNow error", e);
-      return false;
-    }
+    if (!SessionManager.get()) return false;
+    SessionManager.update({ lastActivity: Date.now() - byMs });
+    return true;
   };
 
-  // periodic enforcement + cross-tab sync
-  (function enableExpiryEnforcement() {
-    const CHECK_MS = 60 * 1000;
-    setInterval(expireSessionIfNeeded, CHECK_MS);
-    window.addEventListener("storage", (e) => {
-      if (LEGACY_SESSION_KEYS.includes(e.key)) expireSessionIfNeeded();
-    });
-  })();
-  // ==========================
+  // cross-tab sync: session signals, and account changes that can end
+  // this tab's session. The periodic check is SessionManager.start() in
+  // init()
+  window.addEventListener("storage", (e) => {
+    if (e.key && e.key.indexOf(SESSION_KEY) !== 0 && e.key !== "cincoUsers")
+      return;
+    if (!expireSessionIfNeeded()) updateUserHeaderUI();
+  });
   // expose expireSessionIfNeeded for debugging
   try {
     window.expireSessionIfNeeded = expireSessionIfNeeded;
@@ -2787,66 +7849,133 @@
     console.warn("Could not expose rate-limit/reCAPTCHA helpers:", e);
   }
 
-  // Add this function after your existing cart helpers:
-
-  function verifyCartIntegrity() {
-    const cart = JSON.parse(localStorage.getItem("cincoCart") || "[]");
-
-    // Define your legitimate menu prices (source of truth)
-    const MENU_PRICES = {
-      Americano: 70,
-      "Café Latte": 80,
-      "Spanish Latte": 90,
-      "French Vanilla": 90,
-      "White Choco Mocha": 100,
-      "Sea Salt Latte": 100,
-      "Caramel Macchiato": 100,
-      "Milky Ube": 90,
-      "Strawberry Milk": 90,
-      "Caramel Milk": 90,
-      "Matcha Latte": 100,
-      "Milky Choco": 100,
-    };
-
-    let cartValid = true;
-    let tamperedItems = [];
+  // ============================================
+  // ORDER PRICE VERIFICATION
+  // ============================================
 
-    cart.forEach((item, index) => {
-      const legitimatePrice = MENU_PRICES[item.name];
+  // Re-derive every line of a user's cart from the catalog (the trusted
+  // price table). Lines that no longer resolve are dropped; lines whose
+  // stored name, prices or quantity differ are rebuilt from the catalog.
+  function verifyCartIntegrity(userId) {
+    let allCarts = {};
+    try {
+      allCarts = JSON.parse(localStorage.getItem("cincoCart") || "{}") || {};
+    } catch (e) {}
+    const lines = Array.isArray(allCarts[userId]) ? allCarts[userId] : [];
+
+    const tamperedItems = [];
+    const cart = [];
+
+    lines.forEach((item) => {
+      const product = item ? Catalog.resolve(item) : null;
+      const qty = Number(item && item.qty);
+      const trusted = product
+        ? Catalog.toCartItem(
+            product.id,
+            item.size,
+            Math.min(MAX_LINE_QTY, Math.max(1, Math.floor(qty) || 1)),
+            { options: item.options, note: item.note }
+          )
+        : null;
+
+      if (!trusted) {
+        tamperedItems.push({
+          item: (item && item.name) || "Unknown item",
+          submittedPrice: item ? item.price : null,
+          legitimatePrice: null,
+          action: "removed",
+        });
+        return;
+      }
 
-      // Check if price matches or is suspiciously low
       if (
-        !legitimatePrice ||
-        item.price <= 0 ||
-        item.price !== legitimatePrice
+        Number(item.price) !== trusted.price ||
+        Number(item.basePrice) !== trusted.basePrice ||
+        qty !== trusted.qty ||
+        item.name !== trusted.name
       ) {
-        cartValid = false;
         tamperedItems.push({
-          item: item.name,
+          item: trusted.name,
           submittedPrice: item.price,
-          legitimatePrice: legitimatePrice,
+          legitimatePrice: trusted.price,
+          action: "repaired",
         });
       }
+      cart.push(trusted);
     });
 
     return {
-      isValid: cartValid,
+      isValid: tamperedItems.length === 0,
       tamperedItems: tamperedItems,
       cart: cart,
     };
   }
 
-  // Call this BEFORE processing checkout:
-  function processCheckout() {
-    const verification = verifyCartIntegrity();
+  function describeCorrections(tamperedItems) {
+    const money = (v) => `₱${(Number(v) || 0).toFixed(2)}`;
+    const repaired = tamperedItems
+      .filter((t) => t.action === "repaired")
+      .map((t) =>
+        Number(t.submittedPrice) === t.legitimatePrice
+          ? t.item
+          : `${t.item} (${money(t.submittedPrice)} → ${money(
+              t.legitimatePrice
+            )})`
+      );
+    const removed = tamperedItems
+      .filter((t) => t.action === "removed")
+      .map((t) => t.item);
+
+    const parts = [];
+    if (repaired.length) parts.push(`Corrected: ${repaired.join(", ")}.`);
+    if (removed.length) parts.push(`Removed: ${removed.join(", ")}.`);
+    return parts.join(" ");
+  }
+
+  // Call this BEFORE placing an order. A cart that fails verification is
+  // repaired in storage and the order is NOT placed, so the customer sees
+  // the corrected total before submitting again.
+  function processCheckout(userId) {
+    if (!Catalog.isLoaded()) {
+      Catalog.load().catch(() => {});
+      showFormMessage(
+        "checkoutForm",
+        "⏳ Still loading menu prices, please try again in a moment.",
+        "warning"
+      );
+      return false;
+    }
+
+    const verification = verifyCartIntegrity(userId);
 
     if (!verification.isValid) {
-      showNotification(
-        "❌ Cart integrity check failed. Prices have been tampered with. Order rejected.",
-        5000,
-        "error"
+      const fraudLog = {
+        timestamp: new Date().toISOString(),
+        userId: userId,
+        tamperedItems: verification.tamperedItems,
+        userAgent: navigator.userAgent,
+      };
+      console.warn("🚨 Cart tampering detected:", fraudLog);
+      // In production: send this to your backend for review
+
+      try {
+        const allCarts = JSON.parse(localStorage.getItem("cincoCart") || "{}");
+        if (verification.cart.length) allCarts[userId] = verification.cart;
+        else delete allCarts[userId];
+        localStorage.setItem("cincoCart", JSON.stringify(allCarts));
+        // same-tab listeners (order summary, cart badge) re-render on this
+        window.dispatchEvent(new StorageEvent("storage", { key: "cincoCart" }));
+      } catch (err) {
+        console.error("processCheckout error:", err);
+      }
+
+      showFormMessage(
+        "checkoutForm",
+        `⚠️ Some prices in your cart did not match our menu. ${describeCorrections(
+          verification.tamperedItems
+        )} Please review your order and place it again.`,
+        "warning"
       );
-      console.warn("🚨 Cart tampering detected:", verification.tamperedItems);
       return false; // REJECT ORDER
     }
 
@@ -2854,37 +7983,4 @@
     console.log("✅ Cart verified. Proceeding with order...");
     return true;
   }
-
-  // Find your checkout form submit handler and add:
-  const checkoutForm = document.getElementById("checkoutForm");
-  if (checkoutForm) {
-    checkoutForm.addEventListener("submit", (e) => {
-      e.preventDefault();
-
-      // ADD THIS CHECK:
-      const verification = verifyCartIntegrity();
-      if (!verification.isValid) {
-        showNotification(
-          "❌ Cart has been modified. Please reload and try again.",
-          5000,
-          "error"
-        );
-        console.warn("Tampering detected:", verification.tamperedItems);
-
-        // Add to verification function for fraud detection:
-        if (!verification.isValid) {
-          const fraudLog = {
-            timestamp: new Date().toISOString(),
-            userId: getCurrentUserId(),
-            tamperedItems: verification.tamperedItems,
-            userAgent: navigator.userAgent,
-          };
-          console.error("🚨 FRAUD ALERT:", fraudLog);
-          // In production: send this to your backend for review
-        }
-
-        return;
-      }
-    });
-  }
 })();
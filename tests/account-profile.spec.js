@@ -0,0 +1,74 @@
+const { test, expect } = require('@playwright/test');
+const { ACCOUNT_URL, USER, logIn } = require('./helpers');
+
+const USERS = [USER, { id: 'u_other', name: 'Other User', email: 'other@example.com', password: 'x' }];
+
+test.beforeEach(async ({ page }) => {
+    await logIn(page, { users: USERS, once: true });
+    await page.goto(ACCOUNT_URL);
+});
+
+test('name and email changes update the account, session and greeting', async ({ page }) => {
+    await expect(page.locator('#profileName')).toHaveValue('Test User');
+
+    await page.fill('#profileEmail', 'other@example.com');
+    await page.click('.profile-save-btn');
+    await expect(page.locator('#profileEmail-error')).toHaveText('That email is already used by another account');
+
+    await page.fill('#profileName', 'Juan Dela Cruz');
+    await page.fill('#profileEmail', 'juan@example.com');
+    await page.click('.profile-save-btn');
+    await expect(page.locator('#profileForm-message')).toContainText('Profile updated');
+    await expect(page.locator('#userName')).toHaveText('Hello, Juan Dela Cruz');
+
+    const stored = await page.evaluate(() => ({
+        user: JSON.parse(localStorage.getItem('cincoUsers'))[0],
+        session: window.SessionManager.get(),
+    }));
+    expect(stored.user).toMatchObject({ name: 'Juan Dela Cruz', email: 'juan@example.com' });
+    expect(stored.session).toMatchObject({ userId: 'u_test', name: 'Juan Dela Cruz', email: 'juan@example.com' });
+});
+
+test('email changes are checked case-insensitively and keep a lockout', async ({ page }) => {
+    await page.evaluate(() => {
+        const users = JSON.parse(localStorage.getItem('cincoUsers'));
+        users[1].email = 'Other@Example.com';
+        localStorage.setItem('cincoUsers', JSON.stringify(users));
+        const lockedUntil = Date.now() + 15 * 60 * 1000;
+        localStorage.setItem('cinco_login_attempts_v2', JSON.stringify({
+            'test@example.com': { attempts: 5, firstTs: Date.now(), lastTs: Date.now(), lockedUntil },
+        }));
+    });
+
+    await page.fill('#profileEmail', 'other@example.com');
+    await page.click('.profile-save-btn');
+    await expect(page.locator('#profileEmail-error')).toHaveText('That email is already used by another account');
+
+    await page.fill('#profileEmail', 'juan@example.com');
+    await page.click('.profile-save-btn');
+    await expect(page.locator('#profileForm-message')).toContainText('Profile updated');
+
+    const attempts = await page.evaluate(() => JSON.parse(localStorage.getItem('cinco_login_attempts_v2')));
+    expect(attempts).not.toHaveProperty(['test@example.com']);
+    expect(attempts['juan@example.com']).toMatchObject({ attempts: 5 });
+});
+
+test('password change needs the current password', async ({ page }) => {
+    await page.fill('#currentPassword', 'wrongpassword');
+    await page.fill('#newPassword', 'newpassword1');
+    await page.fill('#confirmPassword', 'newpassword1');
+    await page.click('.password-save-btn');
+    await expect(page.locator('#currentPassword-error')).toHaveText('Current password is incorrect');
+
+    await page.fill('#currentPassword', 'oldpassword1');
+    await page.click('.password-save-btn');
+    await expect(page.locator('#passwordForm-message')).toContainText('Password changed');
+
+    const matches = await page.evaluate(() =>
+        window.bcrypt.compareSync('newpassword1', JSON.parse(localStorage.getItem('cincoUsers'))[0].password)
+    );
+    expect(matches).toBe(true);
+    // the page that changed it stays logged in
+    await page.reload();
+    expect(await page.evaluate(() => window.SessionManager.isLoggedIn())).toBe(true);
+});
@@ -0,0 +1,63 @@
+const { test, expect } = require('@playwright/test');
+const { CHECKOUT_URL, ACCOUNT_URL, logIn, seedCart, fillCheckoutForm } = require('./helpers');
+
+test.beforeEach(async ({ page }) => {
+    await logIn(page);
+});
+
+test('"Save this address" adds it to the book and prefills the next checkout', async ({ page }) => {
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page);
+    await expect(page.locator('.saved-addresses')).toBeHidden();
+
+    await fillCheckoutForm(page);
+    await page.check('#saveAddress');
+    await page.selectOption('#saveAddressLabel', 'Dorm');
+    await page.click('.place-order-btn');
+    await expect(page.locator('#orderSuccessModal')).toHaveClass(/active/);
+
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page);
+    await expect(page.locator('.saved-addresses')).toBeVisible();
+    await expect(page.locator('#savedAddress option:checked')).toContainText('Dorm — 123 Katipunan Ave');
+    await expect(page.locator('#address')).toHaveValue('123 Katipunan Ave');
+    await expect(page.locator('#phone')).toHaveValue('+639171234567');
+    await expect(page.locator('.delivery-fee-amount')).not.toHaveText('—');
+});
+
+test('addresses can be added, made default and deleted from My Account', async ({ page }) => {
+    await page.goto(ACCOUNT_URL);
+    await expect(page.locator('#addressList')).toContainText('No saved addresses yet');
+
+    const add = async (label, street, zip) => {
+        await page.selectOption('#addressLabel', label);
+        await page.fill('#addressFirstName', 'Juan');
+        await page.fill('#addressLastName', 'Dela Cruz');
+        await page.fill('#addressEmail', 'juan@example.com');
+        await page.fill('#addressPhone', '09171234567');
+        await page.fill('#addressStreet', street);
+        await page.fill('#addressCity', 'Quezon City');
+        await page.fill('#addressZip', zip);
+        await page.click('.address-save-btn');
+    };
+
+    await add('Home', '45 Maginhawa Street, Teachers Village', '11');
+    await expect(page.locator('#addressZip-error')).toHaveText('ZIP code must be 4 digits');
+    await page.fill('#addressZip', '1101');
+    await page.click('.address-save-btn');
+    await add('Office', '5F Cubao Expo Building, General Romulo Ave', '1109');
+
+    const cards = page.locator('.address-card');
+    await expect(cards).toHaveCount(2);
+    await expect(cards.first()).toContainText('Home');
+    await expect(cards.first()).toContainText('Default');
+
+    await cards.filter({ hasText: 'Office' }).locator('[data-action="default"]').click();
+    await expect(cards.first()).toContainText('Office');
+
+    const remove = cards.filter({ hasText: 'Office' }).locator('[data-action="delete"]');
+    await remove.click();
+    await remove.click();
+    await expect(cards).toHaveCount(1);
+    await expect(cards.first()).toContainText('Default');
+});
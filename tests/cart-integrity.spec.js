@@ -0,0 +1,77 @@
+const { test, expect } = require('@playwright/test');
+const { CHECKOUT_URL, SESSION, logIn, readCart, fillCheckoutForm } = require('./helpers');
+
+// Build a cart line straight from the catalog, as addToCart would
+async function catalogLine(page, productId, size, qty, custom) {
+    return page.evaluate(async ([productId, size, qty, custom]) => {
+        await window.Catalog.load();
+        return window.Catalog.toCartItem(productId, size, qty, custom || {});
+    }, [productId, size, qty, custom]);
+}
+
+// Store the lines as they are, tampered or not
+async function seedLines(page, lines) {
+    await page.evaluate(([userId, lines]) => {
+        localStorage.setItem('cincoCart', JSON.stringify({ [userId]: lines }));
+    }, [SESSION.userId, lines]);
+    await page.reload();
+}
+
+test.beforeEach(async ({ page }) => {
+    // checkout sends guests to the login page, so start every page logged in
+    await logIn(page);
+    await page.goto(CHECKOUT_URL);
+});
+
+test('tampered price is corrected from the catalog and the order is held', async ({ page }) => {
+    const latte = await catalogLine(page, 'spanish-latte', '16oz', 2, { options: { milk: 'oat' } });
+    const ube = await catalogLine(page, 'milky-ube', '16oz', 1);
+    await seedLines(page, [{ ...latte, price: 1, basePrice: 1 }, ube]);
+
+    await fillCheckoutForm(page);
+    await page.click('.place-order-btn');
+
+    const message = page.locator('#checkoutForm-message');
+    await expect(message).toBeVisible();
+    await expect(message).toContainText(`Spanish Latte (₱1.00 → ₱${latte.price.toFixed(2)})`);
+    await expect(page.locator('#orderSuccessModal')).not.toBeVisible();
+
+    const cart = await readCart(page);
+    expect(cart).toEqual([latte, ube]);
+    await expect(page.locator('.subtotal-amount')).toHaveText((latte.price * 2 + ube.price).toFixed(2));
+});
+
+test('lines that are not on the menu are removed', async ({ page }) => {
+    const ube = await catalogLine(page, 'milky-ube', '16oz', 1);
+    const ghost = { id: 'free-coffee-16oz', productId: 'free-coffee', name: 'Free Coffee', size: '16oz', price: 0, qty: 5 };
+    await seedLines(page, [ube, ghost]);
+
+    await fillCheckoutForm(page);
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#checkoutForm-message')).toContainText('Removed: Free Coffee');
+    expect(await readCart(page)).toEqual([ube]);
+});
+
+test('tampered quantity is clamped back into range', async ({ page }) => {
+    const americano = await catalogLine(page, 'americano', '16oz', 1);
+    await seedLines(page, [{ ...americano, qty: -3 }]);
+
+    await fillCheckoutForm(page);
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#checkoutForm-message')).toContainText('Corrected: Americano');
+    expect(await readCart(page)).toEqual([americano]);
+});
+
+test('untouched cart places the order', async ({ page }) => {
+    const latte = await catalogLine(page, 'spanish-latte', '16oz', 1);
+    await seedLines(page, [latte]);
+
+    await fillCheckoutForm(page);
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#orderNumber')).not.toHaveText('00000');
+    await expect(page.locator('#checkoutForm-message')).toBeHidden();
+    expect(await readCart(page)).toEqual([]);
+});
@@ -0,0 +1,78 @@
+// Fixtures shared by the specs: a logged-in test account, a cart and the
+// checkout form.
+const BASE_URL = 'http://localhost:3000';
+const CHECKOUT_URL = `${BASE_URL}/checkout.html`;
+const ACCOUNT_URL = `${BASE_URL}/account.html`;
+
+// bcrypt hash of "oldpassword1"
+const PASSWORD_HASH = '$2a$04$UpNp8NGMY.ZsT/I43kbZ8u73UyzguV9StsOuNYdxnISBagAMafsPW';
+
+const USER = { id: 'u_test', name: 'Test User', email: 'test@example.com', password: PASSWORD_HASH };
+const SESSION = { userId: USER.id, name: USER.name, email: USER.email, token: 'token_test' };
+
+// Every page load starts logged in as USER: `users` (USER by default) in
+// cincoUsers and a fresh cinco_session_v1 record for this tab. With `once`
+// only the first load of the page is seeded, so a test can change the
+// account or log out and reload.
+async function logIn(page, { users = [USER], once = false } = {}) {
+    await page.addInitScript(([users, session, once]) => {
+        if (once && sessionStorage.getItem('seeded')) return;
+        sessionStorage.setItem('seeded', '1');
+        const now = Date.now();
+        localStorage.setItem('cincoUsers', JSON.stringify(users));
+        sessionStorage.setItem('cinco_session_v1', JSON.stringify(
+            Object.assign({ remember: false, createdAt: now, lastActivity: now, expiresAt: null }, session)
+        ));
+    }, [users, SESSION, once]);
+}
+
+// Replace USER's cart with catalog lines, given as [productId, size, qty],
+// and reload so the page renders it
+async function seedCart(page, items = [['spanish-latte', '16oz', 1]]) {
+    await page.evaluate(async ([userId, items]) => {
+        await window.Catalog.load();
+        const lines = items.map(([productId, size, qty]) => window.Catalog.toCartItem(productId, size, qty, {}));
+        localStorage.setItem('cincoCart', JSON.stringify({ [userId]: lines }));
+    }, [SESSION.userId, items]);
+    await page.reload();
+}
+
+async function readCart(page) {
+    return page.evaluate((userId) => {
+        const carts = JSON.parse(localStorage.getItem('cincoCart') || '{}');
+        return carts[userId] || [];
+    }, SESSION.userId);
+}
+
+async function listOrders(page) {
+    return page.evaluate((userId) => window.OrderHistory.list(userId), SESSION.userId);
+}
+
+async function fillContact(page) {
+    await page.fill('#firstName', 'Juan');
+    await page.fill('#lastName', 'Dela Cruz');
+    await page.fill('#email', 'juan@example.com');
+    await page.fill('#phone', '09171234567');
+}
+
+async function fillCheckoutForm(page) {
+    await fillContact(page);
+    await page.fill('#address', '123 Katipunan Ave');
+    await page.fill('#city', 'Quezon City');
+    await page.fill('#zip', '1108');
+}
+
+module.exports = {
+    BASE_URL,
+    CHECKOUT_URL,
+    ACCOUNT_URL,
+    PASSWORD_HASH,
+    USER,
+    SESSION,
+    logIn,
+    seedCart,
+    readCart,
+    listOrders,
+    fillContact,
+    fillCheckoutForm,
+};
@@ -0,0 +1,64 @@
+const { test, expect } = require('@playwright/test');
+const { CHECKOUT_URL, SESSION, logIn, seedCart, fillCheckoutForm } = require('./helpers');
+
+async function placeOrder(page) {
+    await seedCart(page);
+    await fillCheckoutForm(page);
+    await page.click('.place-order-btn');
+    await expect(page.locator('#orderSuccessModal')).toHaveClass(/active/);
+    return (await page.locator('#orderNumber').textContent()).trim();
+}
+
+test.use({ timezoneId: 'Asia/Manila' });
+
+test.beforeEach(async ({ page }) => {
+    await page.clock.setFixedTime(new Date('2026-10-19T10:00:00+08:00'));
+    await logIn(page);
+    await page.goto(CHECKOUT_URL);
+});
+
+test('order numbers carry the date, a rising sequence and a check digit', async ({ page }) => {
+    const first = await placeOrder(page);
+    await page.goto(CHECKOUT_URL);
+    const second = await placeOrder(page);
+
+    expect(first).toMatch(/^C5-261019-\d{4,}-\d$/);
+    const seq = (n) => Number(n.split('-')[2]);
+    expect(seq(second)).toBe(seq(first) + 1);
+    expect(await page.evaluate(([a, b]) => [a, b].map(window.OrderNumbers.isValid), [first, second])).toEqual([true, true]);
+});
+
+test('a declined payment does not use up a number', async ({ page }) => {
+    const first = await placeOrder(page);
+
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page);
+    await fillCheckoutForm(page);
+    await page.check('#creditCard');
+    await page.fill('#cardName', 'Juan Dela Cruz');
+    await page.fill('#cardNumber', '4000 0000 0000 0002');
+    await page.fill('#cardExpiry', '12/30');
+    await page.fill('#cardCvv', '123');
+    await page.click('.place-order-btn');
+    await expect(page.locator('#checkoutForm-message')).toContainText('Your card was declined.');
+
+    await page.goto(CHECKOUT_URL);
+    const second = await placeOrder(page);
+    const seq = (n) => Number(n.split('-')[2]);
+    expect(seq(second)).toBe(seq(first) + 1);
+});
+
+test('lookup finds an order read out over the phone and rejects a misheard one', async ({ page }) => {
+    const number = await placeOrder(page);
+
+    const spoken = number.replace(/-/g, ' ').toLowerCase();
+    const found = await page.evaluate((n) => window.OrderNumbers.lookup(n), spoken);
+    expect(found).toMatchObject({ ok: true, number, userId: SESSION.userId });
+    expect(found.order.orderNumber).toBe(number);
+
+    const parts = number.split('-');
+    parts[2] = String((Number(parts[2]) + 1) % 10000).padStart(4, '0');
+    const misheard = await page.evaluate((n) => window.OrderNumbers.lookup(n), parts.join('-'));
+    expect(misheard.ok).toBe(false);
+    expect(misheard.msg).toContain("doesn't check out");
+});
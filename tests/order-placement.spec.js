@@ -0,0 +1,55 @@
+const { test, expect } = require('@playwright/test');
+const { CHECKOUT_URL, logIn, seedCart, listOrders, fillCheckoutForm } = require('./helpers');
+
+test.beforeEach(async ({ page }) => {
+    await logIn(page);
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page);
+    await fillCheckoutForm(page);
+});
+
+test('double submit places a single order and the button spins meanwhile', async ({ page }) => {
+    await page.evaluate(() => {
+        const form = document.getElementById('checkoutForm');
+        form.requestSubmit();
+        form.requestSubmit();
+    });
+
+    const button = page.locator('.place-order-btn');
+    await expect(button).toBeDisabled();
+    await expect(button).toHaveClass(/is-busy/);
+    await expect(button.locator('.fa-spinner')).toBeVisible();
+
+    await expect(page.locator('#orderSuccessModal')).toHaveClass(/active/);
+    await expect(button).not.toHaveClass(/is-busy/);
+    const orders = await listOrders(page);
+    expect(orders).toHaveLength(1);
+    expect(orders[0].idempotencyKey).toBeTruthy();
+});
+
+test('retrying an attempt that already placed an order does not duplicate it', async ({ page }) => {
+    // Keep the attempt and cart as they were before the order went through,
+    // as if the page had been reloaded mid-checkout
+    const attempt = await page.evaluate(() => {
+        const form = document.getElementById('checkoutForm');
+        form.requestSubmit();
+        return {
+            attempt: sessionStorage.getItem('cincoCheckoutAttempt'),
+            cart: localStorage.getItem('cincoCart'),
+        };
+    });
+    await expect(page.locator('#orderSuccessModal')).toHaveClass(/active/);
+    const [placed] = await listOrders(page);
+    expect(JSON.parse(attempt.attempt).key).toBe(placed.idempotencyKey);
+
+    await page.evaluate(({ attempt, cart }) => {
+        sessionStorage.setItem('cincoCheckoutAttempt', attempt);
+        localStorage.setItem('cincoCart', cart);
+    }, attempt);
+    await page.reload();
+    await fillCheckoutForm(page);
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#orderNumber')).toHaveText(placed.orderNumber);
+    expect(await listOrders(page)).toHaveLength(1);
+});
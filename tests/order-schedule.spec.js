@@ -0,0 +1,79 @@
+const { test, expect } = require('@playwright/test');
+const { CHECKOUT_URL, SESSION, logIn, seedCart, fillCheckoutForm } = require('./helpers');
+
+async function seedOrders(page, orders) {
+    await page.evaluate((orders) => localStorage.setItem('cincoOrders', JSON.stringify(orders)), orders);
+}
+
+test.use({ timezoneId: 'Asia/Manila' });
+
+test.beforeEach(async ({ page }) => {
+    await logIn(page);
+});
+
+test('ASAP order placed while closed is scheduled for the next opening', async ({ page }) => {
+    // Monday 3 AM; weekdays open at 8 AM
+    await page.clock.setFixedTime(new Date('2026-10-19T03:00:00+08:00'));
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page);
+
+    await expect(page.locator('.schedule-note')).toContainText("We're closed right now");
+    await expect(page.locator('.order-slot')).toHaveText(/8:00\sAM – 8:30\sAM/);
+
+    await fillCheckoutForm(page);
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#orderSchedule')).toContainText('Scheduled for the next available time');
+    const order = await page.evaluate((userId) => window.OrderHistory.list(userId)[0], SESSION.userId);
+    expect(order.schedule).toMatchObject({
+        timing: 'asap',
+        autoScheduled: true,
+        start: new Date('2026-10-19T08:00:00+08:00').toISOString(),
+    });
+});
+
+test('a fully booked slot cannot be chosen', async ({ page }) => {
+    await page.clock.setFixedTime(new Date('2026-10-19T10:05:00+08:00'));
+    const start = new Date('2026-10-19T11:00:00+08:00').toISOString();
+    const booked = Array.from({ length: 5 }, (_, i) => ({
+        orderNumber: `90000${i}`,
+        status: 'received',
+        schedule: { timing: 'later', start },
+    }));
+    await page.goto(CHECKOUT_URL);
+    await seedOrders(page, { u_other: booked });
+    await seedCart(page);
+
+    await page.check('#timingLater');
+    const full = page.locator(`#scheduleSlot option[value="${start}"]`);
+    await expect(full).toBeDisabled();
+    await expect(full).toContainText('fully booked');
+
+    const result = await page.evaluate((start) => window.OrderSchedule.validate(start), start);
+    expect(result).toEqual({ ok: false, msg: 'That time slot is fully booked' });
+});
+
+test('a slot that fills up while the payment runs is kept for the paid order', async ({ page }) => {
+    await page.clock.setFixedTime(new Date('2026-10-19T10:05:00+08:00'));
+    const start = new Date('2026-10-19T11:00:00+08:00').toISOString();
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page);
+
+    await page.check('#timingLater');
+    await page.selectOption('#scheduleSlot', start);
+    await fillCheckoutForm(page);
+    await page.click('.place-order-btn');
+    await expect(page.locator('.place-order-btn')).toHaveClass(/is-busy/);
+    await page.evaluate((start) => {
+        const booked = Array.from({ length: 5 }, (_, i) => ({
+            orderNumber: `90000${i}`,
+            status: 'received',
+            schedule: { timing: 'later', start },
+        }));
+        localStorage.setItem('cincoOrders', JSON.stringify({ u_other: booked }));
+    }, start);
+
+    await expect(page.locator('#orderSuccessModal')).toHaveClass(/active/);
+    const order = await page.evaluate((userId) => window.OrderHistory.list(userId)[0], SESSION.userId);
+    expect(order.schedule).toMatchObject({ timing: 'later', start });
+});
@@ -0,0 +1,87 @@
+const { test, expect } = require('@playwright/test');
+const { BASE_URL, SESSION, logIn } = require('./helpers');
+
+const ORDERS_URL = `${BASE_URL}/orders.html`;
+const PLACED_AT = Date.parse('2026-05-25T02:00:00Z');
+
+function seedOrder(orderNumber) {
+    const at = new Date(PLACED_AT).toISOString();
+    return {
+        orderNumber,
+        placedAt: at,
+        fulfilment: 'delivery',
+        status: 'received',
+        statusHistory: [{ status: 'received', at }],
+        items: [{ productId: 'milky-ube', name: 'Milky Ube', size: '16oz', price: 90, qty: 1, options: {} }],
+        subtotal: 90,
+        discounts: [],
+        deliveryFee: 50,
+        total: 140,
+        payment: 'cash',
+        delivery: { name: 'Juan Dela Cruz', phone: '09171234567', address: '123 Katipunan Ave', city: 'Quezon City', zip: '1108' },
+    };
+}
+
+async function readStatuses(page) {
+    return page.evaluate((userId) => {
+        return window.OrderHistory.list(userId).map((o) => ({
+            status: window.OrderTracker.statusOf(o),
+            history: window.OrderTracker.historyOf(o).map((h) => [h.status, h.at]),
+        }));
+    }, SESSION.userId);
+}
+
+test.beforeEach(async ({ page }) => {
+    // one minute after the order was placed, before the page's first poll
+    await page.clock.setFixedTime(new Date(PLACED_AT + 60000));
+    await logIn(page);
+    await page.addInitScript(([userId, order]) => {
+        if (!localStorage.getItem('cincoOrders')) {
+            localStorage.setItem('cincoOrders', JSON.stringify({ [userId]: [order] }));
+        }
+    }, [SESSION.userId, seedOrder('123456')]);
+});
+
+test('injected clock moves an order through the delivery flow', async ({ page }) => {
+    await page.goto(ORDERS_URL);
+
+    await page.evaluate(([userId, t]) => {
+        window.OrderTracker.setClock(() => t);
+        window.OrderTracker.advanceAll(userId);
+    }, [SESSION.userId, PLACED_AT + 13 * 60000]);
+
+    let [order] = await readStatuses(page);
+    expect(order.status).toBe('out-for-delivery');
+    expect(order.history.map((h) => h[0])).toEqual(['received', 'preparing', 'out-for-delivery']);
+    // each step is stamped with its scheduled time, not when it was noticed
+    expect(order.history[1][1]).toBe(new Date(PLACED_AT + 2 * 60000).toISOString());
+
+    await page.evaluate(([userId, t]) => {
+        window.OrderTracker.setClock(() => t);
+        window.OrderTracker.advanceAll(userId);
+    }, [SESSION.userId, PLACED_AT + 24 * 60 * 60000]);
+
+    [order] = await readStatuses(page);
+    expect(order.status).toBe('completed');
+
+    const rejected = await page.evaluate((userId) => window.OrderTracker.transition(userId, '123456', 'cancelled'), SESSION.userId);
+    expect(rejected.ok).toBe(false);
+});
+
+test('staff controls drive the timeline and cancelled orders stop', async ({ page }) => {
+    await page.goto(`${ORDERS_URL}?staff=1#123456`);
+
+    const timeline = page.locator('#orderDetail .order-timeline');
+    await expect(timeline.locator('.order-timeline-step.current')).toHaveText(/Received/);
+
+    await page.click('.order-staff-btn[data-status="preparing"]');
+    await expect(timeline.locator('.order-timeline-step.current')).toHaveText(/Preparing/);
+    await expect(page.locator('.order-card .order-status-badge')).toHaveText('Preparing');
+
+    await page.click('.order-staff-btn[data-status="cancelled"]');
+    await expect(timeline.locator('.order-timeline-step.current')).toHaveText(/Cancelled/);
+    await expect(page.locator('.order-staff-btn')).toHaveCount(0);
+
+    const [order] = await readStatuses(page);
+    expect(order.history.map((h) => h[0])).toEqual(['received', 'preparing', 'cancelled']);
+});
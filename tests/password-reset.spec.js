@@ -0,0 +1,91 @@
+const { test, expect } = require('@playwright/test');
+const { BASE_URL, ACCOUNT_URL, logIn } = require('./helpers');
+
+const RESET_URL = `${BASE_URL}/reset.html`;
+const OUTBOX_URL = `${BASE_URL}/outbox.html`;
+
+async function requestReset(page, email) {
+    await page.goto(RESET_URL);
+    await page.fill('#resetEmail', email);
+    await page.click('#resetRequestForm .auth-btn');
+    await expect(page.locator('#resetRequestForm-message')).toContainText('If an account exists');
+}
+
+test.beforeEach(async ({ page }) => {
+    await logIn(page, { once: true });
+});
+
+test('reset link from the outbox sets a new password and logs the user out', async ({ page }) => {
+    await requestReset(page, 'nobody@example.com');
+    expect(await page.evaluate(() => localStorage.getItem('cincoOutbox'))).toBeNull();
+    await requestReset(page, 'test@example.com');
+
+    await page.goto(OUTBOX_URL);
+    await expect(page.locator('.outbox-message')).toHaveCount(1);
+    await expect(page.locator('.outbox-message')).toContainText('To: test@example.com');
+    await page.click('.outbox-link');
+
+    await expect(page.locator('.reset-account')).toHaveText('test@example.com');
+    await page.fill('#resetPassword', 'newpassword1');
+    await page.fill('#resetConfirm', 'newpassword1');
+    await page.click('#resetPasswordForm .auth-btn');
+    await expect(page.locator('#resetPasswordForm-message')).toContainText('Your password has been reset');
+
+    const state = await page.evaluate(() => ({
+        session: window.SessionManager.get(),
+        matches: window.bcrypt.compareSync('newpassword1', JSON.parse(localStorage.getItem('cincoUsers'))[0].password),
+    }));
+    expect(state).toEqual({ session: null, matches: true });
+});
+
+test('reset links work once and expire after 30 minutes', async ({ page }) => {
+    await page.clock.install({ time: new Date('2026-10-19T10:00:00+08:00') });
+    await requestReset(page, 'test@example.com');
+    const link = await page.evaluate(() => JSON.parse(localStorage.getItem('cincoOutbox'))[0].link);
+
+    await page.clock.fastForward('31:00');
+    await page.goto(link);
+    await expect(page.locator('#resetPasswordForm-message')).toContainText('has expired');
+    await expect(page.locator('#resetPassword')).toBeDisabled();
+
+    await requestReset(page, 'test@example.com');
+    const fresh = await page.evaluate(() => JSON.parse(localStorage.getItem('cincoOutbox')).pop().link);
+    await page.goto(fresh);
+    await page.fill('#resetPassword', 'newpassword1');
+    await page.fill('#resetConfirm', 'newpassword1');
+    await page.click('#resetPasswordForm .auth-btn');
+    await expect(page.locator('#resetPasswordForm-message')).toContainText('Your password has been reset');
+
+    await page.goto(fresh);
+    await expect(page.locator('#resetPasswordForm-message')).toContainText('already used');
+});
+
+test('a reset logs out a page that was logged in before it', async ({ page, context }) => {
+    await page.goto(ACCOUNT_URL);
+    expect(await page.evaluate(() => window.SessionManager.isLoggedIn())).toBe(true);
+
+    const other = await context.newPage();
+    await requestReset(other, 'test@example.com');
+    const link = await other.evaluate(() => JSON.parse(localStorage.getItem('cincoOutbox'))[0].link);
+    await other.goto(link);
+    await other.fill('#resetPassword', 'newpassword1');
+    await other.fill('#resetConfirm', 'newpassword1');
+    await other.click('#resetPasswordForm .auth-btn');
+    await expect(other.locator('#resetPasswordForm-message')).toContainText('Your password has been reset');
+
+    await expect(page.locator('.notification', { hasText: 'Your password was changed' })).toBeVisible();
+    expect(await page.evaluate(() => window.SessionManager.isLoggedIn())).toBe(false);
+});
+
+test('an account saved with a mixed-case email still gets a reset link', async ({ page }) => {
+    await page.goto(RESET_URL);
+    await page.evaluate(() => {
+        const users = JSON.parse(localStorage.getItem('cincoUsers'));
+        users[0].email = 'Test@Example.com';
+        localStorage.setItem('cincoUsers', JSON.stringify(users));
+    });
+    await requestReset(page, 'test@example.com');
+
+    const outbox = await page.evaluate(() => JSON.parse(localStorage.getItem('cincoOutbox') || '[]'));
+    expect(outbox).toHaveLength(1);
+});
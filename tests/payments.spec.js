@@ -0,0 +1,93 @@
+const { test, expect } = require('@playwright/test');
+const { CHECKOUT_URL, logIn, seedCart, readCart, listOrders, fillCheckoutForm } = require('./helpers');
+
+async function fillCard(page, number) {
+    await page.check('#creditCard');
+    await page.fill('#cardName', 'Juan Dela Cruz');
+    await page.fill('#cardNumber', number);
+    await page.fill('#cardExpiry', '12/30');
+    await page.fill('#cardCvv', '123');
+}
+
+test.beforeEach(async ({ page }) => {
+    await logIn(page);
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page);
+    await fillCheckoutForm(page);
+});
+
+test('card number failing the Luhn check is rejected inline', async ({ page }) => {
+    await fillCard(page, '4242 4242 4242 4241');
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#cardNumber-error')).toHaveText('Card number is not valid');
+    expect(await readCart(page)).toHaveLength(1);
+});
+
+test('declined card keeps the cart and shows the reason', async ({ page }) => {
+    await fillCard(page, '4000 0000 0000 0002');
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#checkoutForm-message')).toContainText('Your card was declined.');
+    await expect(page.locator('.place-order-btn')).toBeEnabled();
+    expect(await readCart(page)).toHaveLength(1);
+    expect(await listOrders(page)).toEqual([]);
+});
+
+test('approved card stores only the brand and last 4 digits', async ({ page }) => {
+    await fillCard(page, '4242 4242 4242 4242');
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#orderNumber')).not.toHaveText('00000');
+    const stored = await page.evaluate(() => localStorage.getItem('cincoOrders'));
+    expect(stored).not.toContain('4242424242424242');
+    const [order] = await listOrders(page);
+    expect(Object.keys(order.paymentDetails).sort()).toEqual(
+        ['amount', 'brand', 'last4', 'method', 'status', 'transactionId']
+    );
+    expect(order.paymentDetails).toMatchObject({ method: 'card', brand: 'Visa', last4: '4242', status: 'paid' });
+});
+
+test('a card payment is voided when the order cannot be saved', async ({ page }) => {
+    await page.evaluate(() => {
+        const card = window.PaymentProviders.get('card');
+        window.voided = [];
+        window.PaymentProviders.register('card', Object.assign({}, card, {
+            fail: (auth, reason) => {
+                window.voided.push({ id: auth.id, reason });
+                return card.fail(auth, reason);
+            },
+        }));
+        const setItem = Storage.prototype.setItem;
+        Storage.prototype.setItem = function (key, value) {
+            if (key === 'cincoOrders') throw new DOMException('Quota exceeded', 'QuotaExceededError');
+            return setItem.call(this, key, value);
+        };
+    });
+    await fillCard(page, '4242 4242 4242 4242');
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#checkoutForm-message')).toContainText('could not be saved');
+    const voided = await page.evaluate(() => window.voided);
+    expect(voided).toHaveLength(1);
+    expect(voided[0].id).toMatch(/^mock_/);
+    expect(await readCart(page)).toHaveLength(1);
+    expect(await listOrders(page)).toEqual([]);
+});
+
+test('GCash needs a reference number that was not used before', async ({ page }) => {
+    await page.check('#gcash');
+    await page.fill('#gcashReference', '1234567890123');
+    await page.click('.place-order-btn');
+    await expect(page.locator('#orderNumber')).not.toHaveText('00000');
+
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page);
+    await fillCheckoutForm(page);
+    await page.check('#gcash');
+    await page.fill('#gcashReference', '1234567890123');
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#checkoutForm-message')).toContainText('already used');
+    expect(await readCart(page)).toHaveLength(1);
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+
+const { BASE_URL, ACCOUNT_URL, USER, SESSION, logIn } = require('./helpers');
+
+const USERS = [USER, { id: 'u_other', name: 'Other User', email: 'other@example.com', password: 'x' }];
+
+const STORAGE = {
+    cincoCart: { u_test: [{ id: 'spanish-latte|16oz', qty: 1 }], u_other: [{ id: 'milky-ube|16oz', qty: 2 }] },
+    cincoFeedbacks: [
+        { id: 'fb_1', name: 'Test User', email: 'test@example.com', subject: 'Hello', message: 'Great coffee', ts: 1 },
+        { id: 'fb_2', name: 'Other User', email: 'other@example.com', subject: 'Hi', message: 'Nice', ts: 2 },
+    ],
+    cinco_login_attempts_v2: { 'test@example.com': { attempts: 1, firstTs: 1, lastTs: 1, lockedUntil: 0 } },
+    cincoOrders: {
+        u_test: [{ orderNumber: 'C5-261019-0001-5', status: 'completed', items: [], delivery: { name: 'Test User', phone: '+639171234567', address: '123 Katipunan Ave', city: 'Quezon City', zip: '1108' } }],
+    },
+};
+
+test.beforeEach(async ({ page }) => {
+    await page.addInitScript((storage) => {
+        if (localStorage.getItem('cincoUsers')) return;
+        Object.entries(storage).forEach(([key, value]) => localStorage.setItem(key, JSON.stringify(value)));
+    }, STORAGE);
+    await logIn(page, { users: USERS, once: true });
+    await page.goto(ACCOUNT_URL);
+});
+
+test('download my data saves a JSON bundle of the user data', async ({ page }) => {
+    const [download] = await Promise.all([
+        page.waitForEvent('download'),
+        page.click('.data-export-btn'),
+    ]);
+    expect(download.suggestedFilename()).toMatch(/^cinco-my-data-\d{4}-\d{2}-\d{2}\.json$/);
+
+    const bundle = JSON.parse(fs.readFileSync(await download.path(), 'utf8'));
+    expect(bundle.format).toBe('cinco-personal-data-v1');
+    expect(bundle.account).toEqual({ id: 'u_test', name: 'Test User', email: 'test@example.com' });
+    expect(bundle.cart).toHaveLength(1);
+    expect(bundle.orders.map((o) => o.orderNumber)).toEqual(['C5-261019-0001-5']);
+    expect(bundle.feedback.map((f) => f.id)).toEqual(['fb_1']);
+    expect(bundle.loginAttempts).toMatchObject({ attempts: 1 });
+});
+
+test('the export finds data saved under a different case of the email', async ({ page }) => {
+    await page.evaluate(() => {
+        const users = JSON.parse(localStorage.getItem('cincoUsers'));
+        users[0].email = 'Test@Example.com';
+        localStorage.setItem('cincoUsers', JSON.stringify(users));
+    });
+    const [download] = await Promise.all([
+        page.waitForEvent('download'),
+        page.click('.data-export-btn'),
+    ]);
+
+    const bundle = JSON.parse(fs.readFileSync(await download.path(), 'utf8'));
+    expect(bundle.feedback.map((f) => f.id)).toEqual(['fb_1']);
+    expect(bundle.loginAttempts).toMatchObject({ attempts: 1 });
+});
+
+test('delete my account needs the password and erases the user data', async ({ page }) => {
+    await page.fill('#deletePassword', 'wrongpassword');
+    await page.click('.account-delete-btn');
+    await expect(page.locator('#deletePassword-error')).toHaveText('Password is incorrect');
+
+    await page.fill('#deletePassword', 'oldpassword1');
+    await page.click('.account-delete-btn');
+    await page.waitForURL('**/index.html');
+
+    const stored = await page.evaluate(() => {
+        const get = (key) => JSON.parse(localStorage.getItem(key) || 'null');
+        return {
+            users: get('cincoUsers').map((u) => u.id),
+            carts: Object.keys(get('cincoCart')),
+            feedback: get('cincoFeedbacks'),
+            attempts: get('cinco_login_attempts_v2'),
+            delivery: get('cincoOrders').u_test[0].delivery,
+            session: window.SessionManager.get(),
+        };
+    });
+    expect(stored.users).toEqual(['u_other']);
+    expect(stored.carts).toEqual(['u_other']);
+    expect(stored.feedback[0]).toMatchObject({ name: 'Anonymous', email: '', message: 'Great coffee' });
+    expect(stored.feedback[1]).toMatchObject({ name: 'Other User', email: 'other@example.com' });
+    expect(stored.attempts).toEqual({});
+    expect(stored.delivery).toEqual({ name: 'Deleted account' });
+    expect(stored.session).toBeNull();
+});
+
+test('deleting the account logs out other pages of that account', async ({ page, context }) => {
+    const other = await context.newPage();
+    await other.goto(`${BASE_URL}/index.html`);
+    await other.evaluate((session) => window.SessionManager.create(session), SESSION);
+    expect(await other.evaluate(() => window.SessionManager.isLoggedIn())).toBe(true);
+
+    await page.fill('#deletePassword', 'oldpassword1');
+    await page.click('.account-delete-btn');
+    await page.waitForURL('**/index.html');
+
+    await expect(other.locator('.notification', { hasText: 'This account has been deleted' })).toBeVisible();
+    expect(await other.evaluate(() => window.SessionManager.isLoggedIn())).toBe(false);
+});
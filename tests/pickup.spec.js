@@ -0,0 +1,46 @@
+const { test, expect } = require('@playwright/test');
+const { CHECKOUT_URL, logIn, seedCart, listOrders, fillContact } = require('./helpers');
+
+test.beforeEach(async ({ page }) => {
+    await logIn(page);
+});
+
+test('pickup at a running pop-up drops the delivery fee and is saved with the order', async ({ page }) => {
+    // during the Katipunan pop-up (June 15-17, 2026)
+    await page.clock.setFixedTime(new Date('2026-06-16T10:00:00+08:00'));
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page, [['milky-ube', '16oz', 2]]);
+
+    await page.check('#fulfilmentPickup');
+    await expect(page.locator('.delivery-fields')).toBeHidden();
+    await expect(page.locator('.delivery-fee-amount')).toHaveText('₱0.00');
+
+    // days that already passed are not offered
+    await expect(page.locator('#pickupDate option')).toHaveCount(2);
+    await page.selectOption('#pickupLocation', 'cubao-expo');
+    await page.selectOption('#pickupDate', '2026-06-23');
+
+    await fillContact(page);
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#orderFulfilment')).toContainText('Pickup at Cubao Expo Center');
+    const [order] = await listOrders(page);
+    expect(order.fulfilment).toBe('pickup');
+    expect(order.pickup).toMatchObject({ locationId: 'cubao-expo', date: '2026-06-23' });
+    expect(order.deliveryFee).toBe(0);
+});
+
+test('pickup is refused once every pop-up has ended', async ({ page }) => {
+    await page.clock.setFixedTime(new Date('2026-07-01T10:00:00+08:00'));
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page, [['milky-ube', '16oz', 2]]);
+
+    await page.check('#fulfilmentPickup');
+    await expect(page.locator('.pickup-empty')).toBeVisible();
+
+    await fillContact(page);
+    await page.click('.place-order-btn');
+
+    await expect(page.locator('#checkoutForm-message')).toContainText('No pop-up stores are open');
+    expect(await listOrders(page)).toEqual([]);
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const { BASE_URL, SESSION, logIn } = require('./helpers');
+
+const RECEIPT_URL = `${BASE_URL}/receipt.html`;
+
+const ORDER = {
+    orderNumber: '123456',
+    placedAt: '2026-05-25T02:00:00.000Z',
+    fulfilment: 'delivery',
+    status: 'completed',
+    items: [
+        { productId: 'spanish-latte', name: 'Spanish Latte', size: '16oz', price: 130, qty: 2, optionLabels: ['Oat milk (+₱20)'], note: 'less ice' },
+        { productId: 'milky-ube', name: 'Milky Ube', size: '16oz', price: 90, qty: 1, optionLabels: [] },
+    ],
+    subtotal: 350,
+    discounts: [{ id: 'voucher-CINCO10', title: 'Promo code CINCO10', discount: 35 }],
+    discount: 35,
+    deliveryFee: 50,
+    total: 365,
+    payment: 'card',
+    paymentDetails: { method: 'card', brand: 'Visa', last4: '4242', status: 'paid' },
+    delivery: { name: 'Juan Dela Cruz', phone: '+639171234567', address: '123 Katipunan Ave', city: 'Quezon City', zip: '1108' },
+};
+
+test.beforeEach(async ({ page }) => {
+    await logIn(page);
+    await page.addInitScript(([userId, order]) => {
+        localStorage.setItem('cincoOrders', JSON.stringify({ [userId]: [order] }));
+    }, [SESSION.userId, ORDER]);
+});
+
+test('receipt lists the order lines, totals and payment', async ({ page }) => {
+    await page.goto(`${RECEIPT_URL}?order=${ORDER.orderNumber}`);
+
+    const receipt = page.locator('#receipt .receipt');
+    await expect(receipt).toContainText('Cinco Coffee');
+    await expect(receipt).toContainText('123456');
+    await expect(receipt).toContainText('Spanish Latte (16oz)');
+    await expect(receipt).toContainText('Oat milk (+₱20) · Note: less ice');
+    await expect(receipt).toContainText('Promo code CINCO10');
+    await expect(receipt.locator('.receipt-grand')).toContainText('₱365.00');
+    await expect(receipt).toContainText('Visa •••• 4242');
+
+    await page.emulateMedia({ media: 'print' });
+    await expect(page.locator('.receipt-actions')).toBeHidden();
+    await expect(page.locator('body > header')).toBeHidden();
+    await expect(receipt.locator('.receipt-store')).toBeVisible();
+});
+
+test('download saves a standalone HTML receipt', async ({ page }) => {
+    await page.goto(`${RECEIPT_URL}?order=${ORDER.orderNumber}`);
+
+    const [download] = await Promise.all([
+        page.waitForEvent('download'),
+        page.click('.receipt-download-btn'),
+    ]);
+    expect(download.suggestedFilename()).toBe('cinco-receipt-123456.html');
+    const html = fs.readFileSync(await download.path(), 'utf8');
+    expect(html).toContain('<style>');
+    expect(html).toContain('Spanish Latte');
+    expect(html).not.toContain('cincostyles.css');
+});
+
+test('unknown order number shows a not-found message', async ({ page }) => {
+    await page.goto(`${RECEIPT_URL}?order=999999`);
+    await expect(page.locator('#receipt')).toContainText("couldn't find that order");
+    await expect(page.locator('.receipt-download-btn')).toBeDisabled();
+});
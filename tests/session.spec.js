@@ -0,0 +1,144 @@
+const { test, expect } = require('@playwright/test');
+const { BASE_URL, USER, SESSION } = require('./helpers');
+
+const HOME_URL = `${BASE_URL}/index.html`;
+const LOGIN_URL = `${BASE_URL}/logSign.html`;
+
+const LOGIN_AT = new Date('2026-10-19T10:00:00+08:00').getTime();
+const HOUR = 60 * 60 * 1000;
+
+async function readSessionKeys(page) {
+    return page.evaluate(() => ({
+        session: window.SessionManager.get(),
+        local: localStorage.getItem('cinco_session_v1'),
+        perTab: sessionStorage.getItem('cinco_session_v1'),
+        legacy: localStorage.getItem('cincoSession'),
+        token: localStorage.getItem('cincoToken'),
+    }));
+}
+
+async function logIn(page, { remember }) {
+    await page.goto(LOGIN_URL);
+    await page.fill('#loginEmail', USER.email);
+    await page.fill('#loginPassword', 'oldpassword1');
+    if (remember) await page.check('#rememberMe');
+    await page.click('#btnLogin');
+    await page.waitForURL('**/index.html');
+}
+
+test.describe('legacy session keys', () => {
+    test.beforeEach(async ({ page }) => {
+        // sessions written by older builds, seeded once per test
+        await page.addInitScript(([session, user]) => {
+            if (sessionStorage.getItem('seeded')) return;
+            sessionStorage.setItem('seeded', '1');
+            localStorage.setItem('cincoUsers', JSON.stringify([user]));
+            localStorage.setItem('cincoSession', JSON.stringify(session));
+            localStorage.setItem('cincoToken', session.token);
+        }, [SESSION, USER]);
+    });
+
+    test('are folded into the one session store on load', async ({ page }) => {
+        await page.goto(HOME_URL);
+
+        const stored = await readSessionKeys(page);
+        expect(stored.legacy).toBeNull();
+        expect(stored.token).toBeNull();
+        expect(stored.session).toMatchObject({ userId: 'u_test', name: 'Test User', email: 'test@example.com', token: 'token_test' });
+        // nothing says when it was created, so a later password change still ends it
+        expect(stored.session.createdAt).toBe(0);
+        expect(await page.evaluate(() => window.SessionManager.isLoggedIn())).toBe(true);
+        await expect(page.locator('#userName')).toHaveText('Hello, Test User');
+    });
+
+    test('an email used as the user id is replaced by the account id', async ({ page }) => {
+        await page.goto(HOME_URL);
+        await page.evaluate((at) => {
+            localStorage.setItem('cincoSession', JSON.stringify({
+                userId: 'test@example.com', name: 'Test User', email: 'test@example.com', token: `token_${at}`,
+            }));
+        }, LOGIN_AT);
+        await page.reload();
+
+        const { session } = await readSessionKeys(page);
+        expect(session).toMatchObject({ userId: 'u_test', createdAt: LOGIN_AT });
+        expect(await page.evaluate(() => window.SessionManager.isLoggedIn())).toBe(true);
+    });
+
+    test('logging out clears the session store everywhere', async ({ page }) => {
+        await page.goto(HOME_URL);
+        const carts = await page.evaluate(async () => {
+            await window.Catalog.load();
+            const carts = {
+                u_test: [window.Catalog.toCartItem('milky-ube', '16oz', 1, {})],
+                guest_1: [window.Catalog.toCartItem('americano', '16oz', 2, {})],
+            };
+            localStorage.setItem('cincoCart', JSON.stringify(carts));
+            return carts;
+        });
+        await page.click('#logoutBtn');
+        await page.waitForURL('**/index.html');
+
+        expect((await readSessionKeys(page)).session).toBeNull();
+        // saved carts, this user's and guests', are kept
+        expect(await page.evaluate(() => JSON.parse(localStorage.getItem('cincoCart')))).toEqual(carts);
+        expect(await page.evaluate(() => window.SessionManager.isLoggedIn())).toBe(false);
+        await expect(page.locator('#userName')).toBeHidden();
+    });
+
+    test('an idle session is logged out on the next page load', async ({ page }) => {
+        await page.goto(HOME_URL);
+        await page.evaluate(() => window.expireSessionNow());
+        await page.reload();
+
+        await expect(page.locator('.notification', { hasText: 'Session expired' })).toBeVisible();
+        expect((await readSessionKeys(page)).session).toBeNull();
+    });
+});
+
+test.describe('Remember me', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.route('https://www.google.com/recaptcha/**', (route) => route.abort());
+        await page.clock.install({ time: LOGIN_AT });
+        await page.addInitScript((user) => {
+            window.__CINCO_SESSION = { rememberMaxAgeMs: 24 * 60 * 60 * 1000 };
+            localStorage.setItem('cincoUsers', JSON.stringify([user]));
+        }, USER);
+    });
+
+    test('checked keeps a persistent session until its maximum age', async ({ page }) => {
+        await logIn(page, { remember: true });
+
+        const stored = await readSessionKeys(page);
+        expect(stored.perTab).toBeNull();
+        expect(JSON.parse(stored.local)).toMatchObject({ userId: 'u_test', remember: true, expiresAt: LOGIN_AT + 24 * HOUR });
+
+        // idle for longer than a normal session, still logged in
+        await page.clock.setSystemTime(LOGIN_AT + 2 * HOUR);
+        await page.reload();
+        await expect(page.locator('#userName')).toHaveText('Hello, Test User');
+
+        await page.clock.setSystemTime(LOGIN_AT + 25 * HOUR);
+        await page.reload();
+        await expect(page.locator('.notification', { hasText: 'saved login has expired' })).toBeVisible();
+        expect((await readSessionKeys(page)).session).toBeNull();
+    });
+
+    test('unchecked keeps the session in this tab with the short idle timeout', async ({ page }) => {
+        await logIn(page, { remember: false });
+
+        const stored = await readSessionKeys(page);
+        expect(stored.local).toBeNull();
+        expect(JSON.parse(stored.perTab)).toMatchObject({ userId: 'u_test', remember: false, expiresAt: null });
+
+        // the session is kept per tab, so another tab is not logged in
+        const other = await page.context().newPage();
+        await other.goto(HOME_URL);
+        expect(await other.evaluate(() => window.SessionManager.isLoggedIn())).toBe(false);
+        await other.close();
+
+        await page.clock.setSystemTime(LOGIN_AT + 31 * 60 * 1000);
+        await page.reload();
+        await expect(page.locator('.notification', { hasText: 'Session expired' })).toBeVisible();
+    });
+});
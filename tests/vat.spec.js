@@ -0,0 +1,75 @@
+const { test, expect } = require('@playwright/test');
+const { CHECKOUT_URL, logIn, seedCart, listOrders, fillCheckoutForm } = require('./helpers');
+
+const CART = [
+    ['milky-ube', '16oz', 2],
+    ['spanish-latte', '16oz', 1],
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+test.beforeEach(async ({ page }) => {
+    await logIn(page);
+});
+
+test('VAT-inclusive breakdown is shown on checkout and saved with the order', async ({ page }) => {
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page, CART);
+    await fillCheckoutForm(page);
+
+    const breakdown = page.locator('.order-totals .vat-breakdown');
+    await expect(breakdown).toContainText('Prices include 12% VAT');
+    await expect(breakdown.locator('.vat-amount')).toBeVisible();
+
+    await page.click('.place-order-btn');
+    await expect(page.locator('#orderVat')).toContainText('VATable Sales');
+
+    const [order] = await listOrders(page);
+    const { tax } = order;
+    expect(tax).toMatchObject({ rate: 0.12, mode: 'inclusive', exemptSales: 0 });
+    expect(round2(tax.vatableSales + tax.vat + tax.exemptSales)).toBe(order.total);
+    expect(round2(tax.lines.reduce((s, l) => s + l.vat, 0))).toBe(tax.vat);
+    await expect(breakdown.locator('.vat-amount')).toContainText(tax.vat.toFixed(2));
+});
+
+test('exclusive mode adds VAT to the total and leaves exempt lines out', async ({ page }) => {
+    await page.addInitScript(() => {
+        window.__CINCO_TAX = { mode: 'exclusive', exemptProducts: ['milky-ube'] };
+    });
+    await page.goto(CHECKOUT_URL);
+    await seedCart(page, CART);
+    await fillCheckoutForm(page);
+    await page.click('.place-order-btn');
+    await expect(page.locator('#orderVat')).toContainText('12% VAT is added to the total');
+
+    const [order] = await listOrders(page);
+    const { tax } = order;
+    const ube = tax.lines.find((l) => l.id.startsWith('milky-ube'));
+    expect(ube).toMatchObject({ exempt: true, vat: 0 });
+    expect(tax.exemptSales).toBe(ube.amount);
+    expect(order.total).toBe(round2(order.subtotal - order.discount + order.deliveryFee + tax.vat));
+});
+
+test('a promotion only lowers the VAT of the lines it made free', async ({ page }) => {
+    await page.addInitScript(() => {
+        window.__CINCO_TAX = { exemptProducts: ['americano'] };
+    });
+    await page.goto(CHECKOUT_URL);
+    const result = await page.evaluate(async () => {
+        await window.Catalog.load();
+        const lines = [
+            window.Catalog.toCartItem('americano', '16oz', 3, {}),
+            window.Catalog.toCartItem('milky-ube', '16oz', 3, {}),
+        ];
+        // Buy 3 Get 2 Non-Coffee is running: two Milky Ube are free
+        const promo = window.Promotions.evaluate(lines, new Date(2026, 4, 20));
+        return { lines, promo, tax: window.Tax.compute(lines, promo.lineDiscounts) };
+    });
+
+    const [americano, ube] = result.lines;
+    expect(result.promo.lineDiscounts).toEqual([0, 180]);
+    // the exempt Americano keeps its full price; the free Ube only lowers the VATable line
+    expect(result.tax.lines[0]).toMatchObject({ exempt: true, amount: americano.price * 3, vat: 0 });
+    expect(result.tax.lines[1]).toMatchObject({ exempt: false, amount: ube.price * 3 - 180 });
+    expect(result.tax.exemptSales).toBe(americano.price * 3);
+});
@@ -0,0 +1,24 @@
+const { test, expect } = require('@playwright/test');
+const { CHECKOUT_URL } = require('./helpers');
+
+test('a percentage code does not discount drinks a promotion already made free', async ({ page }) => {
+    await page.goto(CHECKOUT_URL);
+    const result = await page.evaluate(async () => {
+        await window.Catalog.load();
+        const lines = [
+            window.Catalog.toCartItem('americano', '16oz', 3, {}),
+            window.Catalog.toCartItem('milky-ube', '16oz', 3, {}),
+        ];
+        // Buy 3 Get 2 Non-Coffee is running: two Milky Ube are free
+        const now = new Date(2026, 4, 20);
+        return {
+            promo: window.Promotions.evaluate(lines, now),
+            voucher: window.VoucherStore.validate('NONCOFFEE15', { userId: 'u_test', lines, now }),
+        };
+    });
+
+    expect(result.promo.discount).toBe(180);
+    expect(result.promo.lineDiscounts).toEqual([0, 180]);
+    // 15% of the one Milky Ube still paid for, not of all three
+    expect(result.voucher).toMatchObject({ ok: true, discount: 13.5, lineDiscounts: [0, 13.5] });
+});